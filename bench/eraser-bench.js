@@ -0,0 +1,128 @@
+/**
+ * Eraser hit-testing benchmark for the note.svg application
+ *
+ * Drags an eraser across a generated 2,000-stroke document and compares the
+ * time spent per eraser segment with and without the DocumentEditor's
+ * spatial index, alongside the original kld-intersections line test.
+ *
+ * Run with: node bench/eraser-bench.js
+ */
+
+import { DocumentEditor } from "../src/document-editor.js";
+// @ts-ignore - ShapeInfo.line is defined in the kld-intersections library
+import { ShapeInfo } from "../src/kld-intersections.js";
+
+const STROKE_COUNT = 2000;
+const PAGE_SIZE = 2000;
+const ERASER_SEGMENTS = 200;
+const ERASER_DIAMETER = 10;
+
+/**
+ * Creates a deterministic pseudo-random number generator
+ * @param {number} seed - The seed
+ * @returns {function(): number} - Returns numbers between 0 and 1
+ */
+function createRandom(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) % 4294967296;
+        return seed / 4294967296;
+    };
+}
+
+/**
+ * Creates a document with handwriting-sized curved strokes spread over the page
+ * @param {function(): number} random - The random number generator
+ * @returns {Object} - The document
+ */
+function createDocument(random) {
+    const children = [];
+
+    for (let i = 0; i < STROKE_COUNT; i++) {
+        let x = random() * PAGE_SIZE;
+        let y = random() * PAGE_SIZE;
+        let d = `M ${x.toFixed(1)} ${y.toFixed(1)} `;
+
+        for (let j = 0; j < 6; j++) {
+            const points = [];
+            for (let k = 0; k < 3; k++) {
+                x += (random() - 0.5) * 20;
+                y += (random() - 0.5) * 20;
+                points.push(`${x.toFixed(1)} ${y.toFixed(1)}`);
+            }
+            d += `C ${points.join(', ')} `;
+        }
+
+        children.push({
+            tagName: "path",
+            attributes: { d, fill: "none" },
+            noteSvgAttributes: { stroke: "#000", strokeWidth: 2 },
+            children: []
+        });
+    }
+
+    return {
+        tagName: "svg",
+        attributes: {},
+        noteSvgAttributes: { width: PAGE_SIZE, height: PAGE_SIZE },
+        children
+    };
+}
+
+/**
+ * Creates the segments of an eraser drag across the page
+ * @param {function(): number} random - The random number generator
+ * @returns {Array<Array<Array<number>>>} - The segments as [start, end]
+ */
+function createEraserDrag(random) {
+    const segments = [];
+    let point = [random() * PAGE_SIZE, random() * PAGE_SIZE];
+
+    for (let i = 0; i < ERASER_SEGMENTS; i++) {
+        const next = [
+            Math.min(PAGE_SIZE, Math.max(0, point[0] + (random() - 0.5) * 40)),
+            Math.min(PAGE_SIZE, Math.max(0, point[1] + (random() - 0.5) * 40))
+        ];
+        segments.push([point, next]);
+        point = next;
+    }
+
+    return segments;
+}
+
+/**
+ * Times an eraser drag over a fresh copy of the document
+ * @param {string} name - The name to report
+ * @param {function(DocumentEditor, Array<number>, Array<number>): Array} erase - Erases a segment
+ * @param {{useSpatialIndex?: boolean}} options - The editor options
+ */
+function run(name, erase, options) {
+    const document = createDocument(createRandom(1));
+    const segments = createEraserDrag(createRandom(2));
+
+    const setupStart = performance.now();
+    const editor = new DocumentEditor(/** @type {any} */ (document), options);
+    const setupTime = performance.now() - setupStart;
+
+    let removed = 0;
+    const start = performance.now();
+    for (const [a, b] of segments) removed += erase(editor, a, b).length;
+    const time = performance.now() - start;
+
+    console.log(`${name.padEnd(28)} ${(time / segments.length).toFixed(3).padStart(9)} ms/segment`
+        + `   setup ${setupTime.toFixed(1).padStart(7)} ms   removed ${removed}`);
+}
+
+console.log(`Erasing ${ERASER_SEGMENTS} segments across ${STROKE_COUNT} strokes\n`);
+
+run("kld line test (original)", (editor, a, b) => {
+    // @ts-ignore - ShapeInfo.line is defined in the kld-intersections library
+    return editor.filterIntersecting(ShapeInfo.line(a, b), editor.document);
+}, { useSpatialIndex: false });
+
+run("capsule test, linear scan", (editor, a, b) => {
+    return editor.processEraserStroke(a, b, ERASER_DIAMETER);
+}, { useSpatialIndex: false });
+
+run("capsule test, spatial index", (editor, a, b) => {
+    return editor.processEraserStroke(a, b, ERASER_DIAMETER);
+}, { useSpatialIndex: true });
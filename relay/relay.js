@@ -0,0 +1,373 @@
+/**
+ * WebSocket relay for the note.svg application
+ *
+ * Passes sync messages between everyone who joined the same room, so several
+ * people can draw on one note. The relay keeps no note data: editors merge
+ * what they receive themselves, and a newcomer catches up by asking the
+ * others for their state. When someone disconnects, the rest of the room is
+ * told so their unfinished strokes can be cleared.
+ *
+ * Only uses Node's standard library. Connect with ws://host:port/?room=name.
+ * Only pages from allowed origins may connect, so that other sites can't
+ * join rooms from their visitors' browsers. Without a list of origins, only
+ * pages served from this machine are allowed.
+ *
+ * Run with: node relay/relay.js [port] [allowed origin...]
+ * The origins can also be given as a comma-separated list in
+ * NOTESVG_RELAY_ORIGINS, e.g. "https://notes.example.com".
+ *
+ * The relay only listens on this machine. To let others connect, give the
+ * address to listen on in NOTESVG_RELAY_HOST, e.g. "0.0.0.0" for every
+ * interface.
+ */
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+const DEFAULT_PORT = 8787;
+
+/**
+ * Address the relay listens on unless NOTESVG_RELAY_HOST says otherwise
+ * @type {string}
+ */
+const DEFAULT_HOST = '127.0.0.1';
+
+/**
+ * Added to the client's key to accept a WebSocket handshake (RFC 6455)
+ * @type {string}
+ */
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Largest message the relay accepts, in bytes
+ * @type {number}
+ */
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Hosts pages may connect from when no origins are allowed explicitly
+ * @type {Array<string>}
+ */
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Frame opcodes
+ */
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+/**
+ * A connected editor
+ * @typedef {Object} Client
+ * @property {import("node:net").Socket} socket - The connection
+ * @property {string} room - The room the editor joined
+ * @property {string|null} from - The editor's ID, learned from its first message
+ * @property {boolean} identified - Whether the first message was read
+ * @property {Buffer} buffer - Received bytes not yet read as frames
+ * @property {Array<Buffer>} fragments - Parts of a fragmented message
+ * @property {boolean} closed - Whether the connection is closing
+ */
+
+/** @type {Map<string, Set<Client>>} */
+const rooms = new Map();
+
+/**
+ * Reads the allowed origins from the command line or the environment
+ * @param {Array<string>} args - The command line arguments after the port
+ * @param {string|undefined} variable - The value of NOTESVG_RELAY_ORIGINS
+ * @returns {Array<string>} - The origins, without trailing slashes
+ */
+export function readAllowedOrigins(args, variable) {
+    return (args.length > 0 ? args : (variable || '').split(','))
+        .map((origin) => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Checks if a page from an origin may connect
+ * @param {string|undefined} origin - The Origin header of the handshake
+ * @param {Array<string>} allowedOrigins - The origins pages may connect from, or empty to allow only local pages
+ * @returns {boolean} - True if the origin is allowed
+ */
+export function isAllowedOrigin(origin, allowedOrigins) {
+    if (!origin) return false;
+    if (allowedOrigins.length > 0) return allowedOrigins.indexOf(origin) >= 0;
+
+    try {
+        const url = new URL(origin);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && LOCAL_HOSTNAMES.indexOf(url.hostname) >= 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Encodes a frame from the server, which is never masked
+ * @param {number} opcode - The frame opcode
+ * @param {Buffer} payload - The payload
+ * @returns {Buffer} - The frame
+ */
+export function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Reads the next complete frame from the start of a buffer
+ * @param {Buffer} buffer - The received bytes
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, length: number}|null} - The
+ *  frame and how many bytes it took, or null if it hasn't fully arrived
+ */
+export function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        if (longLength > BigInt(MAX_MESSAGE_SIZE)) throw new Error('Frame too large');
+        length = Number(longLength);
+        offset = 10;
+    }
+    if (length > MAX_MESSAGE_SIZE) throw new Error('Frame too large');
+
+    // Clients must mask their frames
+    if (!masked) throw new Error('Unmasked client frame');
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+
+    return { fin, opcode, payload, length: offset + 4 + length };
+}
+
+/**
+ * Sends a text message to a client
+ * @param {Client} client - The client
+ * @param {string} text - The message
+ */
+function sendText(client, text) {
+    if (!client.closed) client.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text, 'utf8')));
+}
+
+/**
+ * Closes a client's connection and tells the rest of its room it left
+ * @param {Client} client - The client
+ * @param {number} [code=1000] - The close status code
+ */
+function closeClient(client, code = 1000) {
+    if (client.closed) return;
+
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    client.socket.end(encodeFrame(OPCODE_CLOSE, payload));
+    removeClient(client);
+}
+
+/**
+ * Removes a client from its room
+ * @param {Client} client - The client
+ */
+function removeClient(client) {
+    if (client.closed) return;
+    client.closed = true;
+
+    const room = rooms.get(client.room);
+    if (!room) return;
+
+    room.delete(client);
+    if (room.size === 0) rooms.delete(client.room);
+    else if (client.from) broadcast(client, JSON.stringify({ type: 'leave', from: client.from, noteId: client.room }));
+}
+
+/**
+ * Sends a message to everyone else in a client's room
+ * @param {Client} sender - The client the message came from
+ * @param {string} text - The message
+ */
+function broadcast(sender, text) {
+    for (const client of rooms.get(sender.room) || []) {
+        if (client !== sender) sendText(client, text);
+    }
+}
+
+/**
+ * Checks if another client in a client's room goes by an ID
+ * @param {Client} client - The client
+ * @param {string} from - The ID
+ * @returns {boolean} - True if someone else uses the ID
+ */
+function isTakenId(client, from) {
+    for (const other of rooms.get(client.room) || []) {
+        if (other !== client && other.from === from) return true;
+    }
+    return false;
+}
+
+/**
+ * Handles a complete message from a client
+ * @param {Client} client - The client
+ * @param {string} text - The message
+ */
+function receiveMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        closeClient(client, 1007);
+        return;
+    }
+
+    // Remember who is behind the connection, so the room can be told when it drops,
+    // unless someone else in the room already goes by that ID
+    if (!client.identified) {
+        client.identified = true;
+        if (typeof message?.from === 'string' && !isTakenId(client, message.from)) client.from = message.from;
+    }
+
+    // Editors can only speak for themselves
+    if (message?.from !== undefined && message.from !== client.from) return;
+
+    broadcast(client, text);
+}
+
+/**
+ * Reads the frames received from a client
+ * @param {Client} client - The client
+ */
+function receiveFrames(client) {
+    let frame;
+    while (!client.closed && (frame = decodeFrame(client.buffer))) {
+        client.buffer = client.buffer.subarray(frame.length);
+
+        switch (frame.opcode) {
+            case OPCODE_TEXT:
+            case OPCODE_BINARY:
+            case OPCODE_CONTINUATION: {
+                client.fragments.push(frame.payload);
+                const size = client.fragments.reduce((total, part) => total + part.length, 0);
+                if (size > MAX_MESSAGE_SIZE) {
+                    closeClient(client, 1009);
+                    return;
+                }
+                if (frame.fin) {
+                    const text = Buffer.concat(client.fragments).toString('utf8');
+                    client.fragments = [];
+                    receiveMessage(client, text);
+                }
+                break;
+            }
+            case OPCODE_PING:
+                client.socket.write(encodeFrame(OPCODE_PONG, frame.payload));
+                break;
+            case OPCODE_PONG:
+                break;
+            case OPCODE_CLOSE:
+                closeClient(client);
+                return;
+            default:
+                closeClient(client, 1002);
+                return;
+        }
+    }
+}
+
+/**
+ * Handles a WebSocket handshake, adding the editor to the room it asks for
+ * @param {import("node:http").IncomingMessage} request - The handshake request
+ * @param {import("node:net").Socket} socket - The connection
+ * @param {Array<string>} allowedOrigins - The origins pages may connect from, or empty to allow only local pages
+ */
+function acceptClient(request, socket, allowedOrigins) {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    if (!isAllowedOrigin(request.headers.origin, allowedOrigins)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+
+    const url = new URL(request.url || '/', 'http://localhost');
+    const roomName = url.searchParams.get('room') || 'default';
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n'
+        + 'Upgrade: websocket\r\n'
+        + 'Connection: Upgrade\r\n'
+        + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+
+    /** @type {Client} */
+    const client = {
+        socket, room: roomName, from: null, identified: false, buffer: Buffer.alloc(0), fragments: [], closed: false
+    };
+    if (!rooms.has(roomName)) rooms.set(roomName, new Set());
+    rooms.get(roomName).add(client);
+
+    socket.on('data', (data) => {
+        client.buffer = Buffer.concat([client.buffer, data]);
+        try {
+            receiveFrames(client);
+        } catch (error) {
+            closeClient(client, error.message === 'Frame too large' ? 1009 : 1002);
+        }
+    });
+    socket.on('close', () => removeClient(client));
+    socket.on('error', () => removeClient(client));
+}
+
+/**
+ * Creates a relay server, which isn't listening yet
+ * @param {Array<string>} [allowedOrigins=[]] - The origins pages may connect from, or empty to allow only local pages
+ * @returns {import("node:http").Server} - The server
+ */
+export function createRelayServer(allowedOrigins = []) {
+    const server = createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('note.svg relay: connect with a WebSocket\n');
+    });
+    server.on('upgrade', (request, socket) => acceptClient(request, /** @type {import("node:net").Socket} */ (socket), allowedOrigins));
+
+    return server;
+}
+
+// Only listen when run, not when imported, e.g. by tests
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const server = createRelayServer(readAllowedOrigins(process.argv.slice(3), process.env.NOTESVG_RELAY_ORIGINS));
+    const port = parseInt(process.argv[2]) || DEFAULT_PORT;
+    const host = process.env.NOTESVG_RELAY_HOST || DEFAULT_HOST;
+    server.listen(port, host, () => {
+        console.log(`note.svg relay listening on ws://${host.indexOf(':') >= 0 ? `[${host}]` : host}:${port}`);
+    });
+}
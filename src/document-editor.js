@@ -5,19 +5,37 @@
  * - Creating path nodes from stroke data
  * - Managing document structure modifications
  * - Processing intersections for eraser functionality
+ * - Cutting paths apart for the partial eraser
+ * - Maintaining a spatial index of paths for fast hit-testing
  * - Converting raw stroke points to SVG path data
+ * - Recording every mutation as an undoable command
  */
 
 import { ShapeInfo, Intersection } from "./kld-intersections.js";
-import { roundNumber } from "./utils.js";
+import { AddNodeCommand, CommandHistory, CompositeCommand, RemoveNodeCommand, SetAttributesCommand } from "./history.js";
+import { SpatialIndex } from "./spatial-index.js";
+import {
+    densifyPolyline, distanceToSegment, expandBoundingBox, lerpPoint, pointsBoundingBox,
+    polylineLength, segmentDistance, unionBoundingBoxes
+} from "./geometry.js";
+import { flattenPathData, interpolateNodeValue, parsePathData, serializePathData } from "./path-data.js";
+import { DEFAULT_PRESSURE, getPressureWidth, roundNumber } from "./utils.js";
 
 /**
  * @typedef {import("./stroke.js").PenTool} PenTool
  * @typedef {import("./stroke.js").EraserTool} EraserTool
  * @typedef {import("./stroke.js").Tool} Tool
  * @typedef {import("./stroke.js").RenderNode} RenderNode
+ * @typedef {import("./geometry.js").BoundingBox} BoundingBox
+ * @typedef {import("./history.js").Command} Command
  */
 
+/**
+ * Thinnest stroke width scaling can produce, so strokes never round away to nothing
+ * @type {number}
+ */
+const MIN_STROKE_WIDTH = 0.01;
+
 /**
  * Handles document structure modifications
  */
@@ -25,20 +43,376 @@ export class DocumentEditor {
     /**
      * Creates a new DocumentEditor instance
      * @param {import("./notesvg").SvgNode} document - The SVG document to edit
+     * @param {{useSpatialIndex?: boolean}} [options] - Editor options
      */
-    constructor(document) {
+    constructor(document, { useSpatialIndex = true } = {}) {
         /** @type {RenderNode} */
         this.document = /** @type {RenderNode} */ (document);
+
+        /** @type {CommandHistory} */
+        this.history = new CommandHistory();
+
+        /** @type {SpatialIndex<RenderNode>|null} */
+        this.spatialIndex = useSpatialIndex ? new SpatialIndex() : null;
+        this.rebuildSpatialIndex();
+
+        // Keep the index in sync with every mutation, including undo and redo
+        this.history.addCommandListener((command, reverted) => this.updateSpatialIndex(command, reverted));
+    }
+
+    /**
+     * Resets editing state after the document was replaced, e.g. by loading a file
+     */
+    reset() {
+        this.history.clear();
+        this.rebuildSpatialIndex();
+    }
+
+    /**
+     * Gets the bounding box of a path, caching it on the node
+     * The box includes the path's stroke width.
+     * @param {RenderNode} pathNode - The path node
+     * @returns {BoundingBox|null} The bounding box, or null if the path is empty
+     */
+    getPathBoundingBox(pathNode) {
+        pathNode.renderAttributes ||= {};
+        if (pathNode.renderAttributes.bbox !== undefined) return pathNode.renderAttributes.bbox;
+
+        const { strokeWidth = 1, widths } = pathNode.noteSvgAttributes || {};
+        const halfWidth = Math.max(strokeWidth, ...(widths || [])) * 0.5;
+
+        // Flattened curves stay within a fraction of a unit of the true curve
+        const bbox = pointsBoundingBox([].concat(...this.getPolylines(pathNode)));
+
+        pathNode.renderAttributes.bbox = bbox && expandBoundingBox(bbox, halfWidth);
+        return pathNode.renderAttributes.bbox;
+    }
+
+    /**
+     * Gets the bounding box of a node's drawn content
+     * Paths include their stroke width; other nodes cover their children.
+     * @param {RenderNode | string} node - The node to get the bounding box for
+     * @param {boolean} [recurse=true] - Whether to include the node's children
+     * @returns {BoundingBox|null} The bounding box, or null if the node draws nothing
+     */
+    getBoundingBox(node, recurse = true) {
+        if (typeof node === 'string') return null;
+
+        let bbox = node.tagName === 'path' ? this.getPathBoundingBox(node) : null;
+
+        if (recurse) {
+            for (const child of node.children || []) {
+                bbox = unionBoundingBoxes(bbox, this.getBoundingBox(child, recurse));
+            }
+        }
+
+        return bbox;
+    }
+
+    /**
+     * Gets the bounding box of everything drawn in the document
+     * @returns {BoundingBox|null} The bounding box, or null if the document is empty
+     */
+    getDocumentBoundingBox() {
+        return this.getBoundingBox(this.document);
+    }
+
+    /**
+     * Adds the paths in a subtree to the spatial index
+     * @param {RenderNode | string} node - The root of the subtree
+     */
+    indexNode(node) {
+        if (!this.spatialIndex || typeof node === 'string') return;
+
+        if (node.tagName === 'path') {
+            const bbox = this.getPathBoundingBox(node);
+            if (bbox) this.spatialIndex.insert(node, bbox);
+        }
+
+        for (const child of node.children || []) this.indexNode(child);
+    }
+
+    /**
+     * Removes the paths in a subtree from the spatial index
+     * @param {RenderNode | string} node - The root of the subtree
+     */
+    unindexNode(node) {
+        if (!this.spatialIndex || typeof node === 'string') return;
+
+        this.spatialIndex.remove(node);
+        for (const child of node.children || []) this.unindexNode(child);
+    }
+
+    /**
+     * Rebuilds the spatial index from the whole document
+     */
+    rebuildSpatialIndex() {
+        if (!this.spatialIndex) return;
+
+        this.spatialIndex.clear();
+        this.indexNode(this.document);
+    }
+
+    /**
+     * Updates the spatial index after a command was applied or reverted
+     * @param {Command} command - The command
+     * @param {boolean} reverted - Whether the command was reverted
+     */
+    updateSpatialIndex(command, reverted) {
+        if (!this.spatialIndex) return;
+
+        if (command instanceof CompositeCommand) {
+            for (const child of command.commands) this.updateSpatialIndex(child, reverted);
+        } else if (command instanceof AddNodeCommand) {
+            if (reverted) this.unindexNode(command.node);
+            else this.indexNode(command.node);
+        } else if (command instanceof RemoveNodeCommand) {
+            if (reverted) this.indexNode(command.node);
+            else this.unindexNode(command.node);
+        } else if (command instanceof SetAttributesCommand) {
+            // Attributes like the stroke width change a path's bounds
+            if (command.node.tagName === 'path') {
+                if (command.node.renderAttributes) delete command.node.renderAttributes.bbox;
+                this.indexNode(command.node);
+            }
+        } else {
+            // Unknown mutations may have changed anything
+            this.rebuildSpatialIndex();
+        }
+    }
+
+    /**
+     * Finds the paths that may come within a distance of a segment
+     * Without a spatial index every path is a candidate, signalled by null.
+     * @param {Array<number>} start - The start point of the segment
+     * @param {Array<number>} end - The end point of the segment
+     * @param {number} distance - The distance around the segment
+     * @returns {Set<RenderNode>|null} The candidate paths, or null if all paths are candidates
+     */
+    queryPaths(start, end, distance) {
+        if (!this.spatialIndex) return null;
+
+        return this.spatialIndex.query({
+            min: [Math.min(start[0], end[0]) - distance, Math.min(start[1], end[1]) - distance],
+            max: [Math.max(start[0], end[0]) + distance, Math.max(start[1], end[1]) + distance]
+        });
+    }
+
+    /**
+     * Undoes the most recent document mutation
+     * @returns {boolean} True if a mutation was undone
+     */
+    undo() {
+        return this.history.undo();
+    }
+
+    /**
+     * Redoes the most recently undone document mutation
+     * @returns {boolean} True if a mutation was redone
+     */
+    redo() {
+        return this.history.redo();
+    }
+
+    /**
+     * Sets the document dimensions
+     * @param {number} width - The new width
+     * @param {number} height - The new height
+     */
+    resizeDocument(width, height) {
+        this.history.execute(new SetAttributesCommand(this.document, { width, height }));
+    }
+
+    /**
+     * Resizes the document, keeping its content at an anchor
+     * The anchor is a point given as fractions of the document size, e.g.
+     * [0, 0] keeps the content at the top left and [0.5, 0.5] centers it.
+     * When scaling, the content is scaled uniformly to fit the new size, with
+     * its stroke widths scaled along with it. Documents without a size, such
+     * as some imported ones, can't be scaled, so their content is only moved.
+     * @param {number} width - The new width
+     * @param {number} height - The new height
+     * @param {Array<number>} [anchor=[0, 0]] - The anchor point
+     * @param {boolean} [scaleContent=false] - Whether to scale the content to the new size
+     */
+    resizeDocumentAnchored(width, height, anchor = [0, 0], scaleContent = false) {
+        const { width: oldWidth, height: oldHeight } = this.document.noteSvgAttributes;
+        const canScale = scaleContent && oldWidth > 0 && oldHeight > 0 && width > 0 && height > 0;
+        const scale = canScale ? Math.min(width / oldWidth, height / oldHeight) : 1;
+
+        const dx = (width - oldWidth * scale) * anchor[0];
+        const dy = (height - oldHeight * scale) * anchor[1];
+
+        this.history.beginGroup();
+        try {
+            if (scale !== 1) {
+                this.mapPaths(([x, y]) => [x * scale + dx, y * scale + dy], (pathNode) => {
+                    const { strokeWidth = 1, widths } = pathNode.noteSvgAttributes || {};
+                    const scaleWidth = (w) => Math.max(MIN_STROKE_WIDTH, parseFloat(roundNumber(w * scale, 2)));
+                    const scaled = { strokeWidth: scaleWidth(strokeWidth) };
+                    if (widths) scaled.widths = widths.map(scaleWidth);
+                    return scaled;
+                });
+            } else if (dx !== 0 || dy !== 0) {
+                this.translateContent(dx, dy);
+            }
+
+            this.resizeDocument(width, height);
+        } finally {
+            this.history.endGroup();
+        }
+    }
+
+    /**
+     * Replaces a child node with another node in the same position
+     * @param {RenderNode} parent - The parent node
+     * @param {RenderNode} node - The node to replace
+     * @param {RenderNode} replacement - The node to put in its place
+     */
+    replaceNode(parent, node, replacement) {
+        const index = parent.children.indexOf(node);
+
+        this.history.beginGroup();
+        this.history.execute(new RemoveNodeCommand(parent, node));
+        this.history.execute(new AddNodeCommand(parent, replacement, index));
+        this.history.endGroup();
+    }
+
+    /**
+     * Creates a copy of a path with its points mapped to new positions
+     * @param {RenderNode} pathNode - The path node to copy
+     * @param {function(Array<number>): Array<number>} mapPoint - Maps a point to its new position
+     * @param {Record<string, any>} [noteSvgAttributes={}] - noteSvgAttributes to override in the copy
+     * @returns {RenderNode} The mapped path node
+     */
+    createMappedPath(pathNode, mapPoint, noteSvgAttributes = {}) {
+        const commands = parsePathData(pathNode.attributes.d).map((command) => ({
+            type: command.type,
+            points: command.points.map(mapPoint)
+        }));
+        const d = serializePathData(commands);
+
+        return {
+            tagName: "path",
+            attributes: { ...pathNode.attributes, d },
+            attributeOrder: pathNode.attributeOrder,
+            noteSvgAttributes: { ...pathNode.noteSvgAttributes, ...noteSvgAttributes },
+            renderAttributes: { path: new Path2D(d) },
+            children: []
+        };
+    }
+
+    /**
+     * Replaces every path in a subtree with a mapped copy
+     * Paths whose data can't be parsed are left as they are, since there's
+     * nothing to map, rather than failing halfway through the edit.
+     * @param {function(Array<number>): Array<number>} mapPoint - Maps a point to its new position
+     * @param {function(RenderNode): Record<string, any>} [getAttributes] - Gets the
+     *  noteSvgAttributes to override in each copy
+     * @param {RenderNode} [node=this.document] - The root of the subtree
+     */
+    mapPaths(mapPoint, getAttributes = () => ({}), node = this.document) {
+        for (const child of [...node.children || []]) {
+            if (typeof child === 'string') continue;
+
+            if (child.tagName === 'path') {
+                let mapped;
+                try {
+                    mapped = this.createMappedPath(child, mapPoint, getAttributes(child));
+                } catch (error) {
+                    console.error('Failed to parse path data:', error);
+                    continue;
+                }
+                this.replaceNode(node, child, mapped);
+            } else {
+                this.mapPaths(mapPoint, getAttributes, child);
+            }
+        }
+    }
+
+    /**
+     * Moves all paths in the document
+     * @param {number} dx - The horizontal offset
+     * @param {number} dy - The vertical offset
+     */
+    translateContent(dx, dy) {
+        this.history.beginGroup();
+        try {
+            this.mapPaths(([x, y]) => [x + dx, y + dy]);
+        } finally {
+            this.history.endGroup();
+        }
+    }
+
+    /**
+     * Crops the document to its content
+     * Moves the content so that it sits at the margin from the top left corner
+     * and shrinks the document to the content plus the margin on every side.
+     * @param {number} [margin=0] - The empty space to leave around the content
+     * @returns {boolean} True if the document was cropped, false if it has no content
+     */
+    fitToContent(margin = 0) {
+        const bbox = this.getDocumentBoundingBox();
+        if (!bbox) return false;
+
+        // Path data is rounded to a tenth, so snap the offset to keep positions exact
+        const dx = Math.round((margin - bbox.min[0]) * 10) / 10;
+        const dy = Math.round((margin - bbox.min[1]) * 10) / 10;
+
+        this.history.beginGroup();
+        try {
+            if (dx !== 0 || dy !== 0) this.translateContent(dx, dy);
+            this.resizeDocument(
+                Math.max(1, Math.ceil(bbox.max[0] - bbox.min[0] + margin * 2)),
+                Math.max(1, Math.ceil(bbox.max[1] - bbox.min[1] + margin * 2))
+            );
+        } finally {
+            this.history.endGroup();
+        }
+
+        return true;
+    }
+
+    /**
+     * Grows the document to hold content drawn past its edges
+     * Content past the right or bottom edge makes the document bigger, and
+     * content past the left or top edge is moved right or down along with
+     * everything else. The document never shrinks, unlike fitToContent.
+     * @param {number} [margin=0] - The empty space to leave around content past an edge
+     * @returns {Array<number>|null} The offset the content moved by as [dx, dy], or null if the
+     *  document already held all of its content
+     */
+    growToContent(margin = 0) {
+        const bbox = this.getDocumentBoundingBox();
+        if (!bbox) return null;
+
+        const { width, height } = this.document.noteSvgAttributes;
+        const dx = bbox.min[0] < 0 ? Math.ceil(margin - bbox.min[0]) : 0;
+        const dy = bbox.min[1] < 0 ? Math.ceil(margin - bbox.min[1]) : 0;
+        const newWidth = Math.max(width + dx, bbox.max[0] > width ? Math.ceil(bbox.max[0] + dx + margin) : 0);
+        const newHeight = Math.max(height + dy, bbox.max[1] > height ? Math.ceil(bbox.max[1] + dy + margin) : 0);
+        if (newWidth === width && newHeight === height) return null;
+
+        this.history.beginGroup();
+        try {
+            if (dx !== 0 || dy !== 0) this.translateContent(dx, dy);
+            this.resizeDocument(newWidth, newHeight);
+        } finally {
+            this.history.endGroup();
+        }
+
+        return [dx, dy];
     }
 
     /**
      * Creates a path node from stroke data
-     * @param {Array<Array<number>>} stroke - The stroke points
+     * @param {Array<Array<number>>} stroke - The stroke points as [x, y, pressure]
      * @param {PenTool} tool - The tool used for the stroke
      * @returns {RenderNode} The created path node
      */
     createPathFromStroke(stroke, tool) {
         const d = this.generatePathData(stroke);
+        const widths = this.generateWidthData(stroke, d, tool.diameter);
 
         const pathNode = {
             tagName: "path",
@@ -50,6 +424,8 @@ export class DocumentEditor {
             renderAttributes: { path: new Path2D(d), stroke },
             children: [] // Add empty children array to satisfy type requirements
         };
+
+        if (widths) pathNode.noteSvgAttributes.widths = widths;
         
         return pathNode;
     }
@@ -59,7 +435,7 @@ export class DocumentEditor {
      * @param {RenderNode} pathNode - The path node to add
      */
     addPathToDocument(pathNode) {
-        this.document.children.push(pathNode);
+        this.history.execute(new AddNodeCommand(this.document, pathNode));
     }
 
     /**
@@ -90,8 +466,9 @@ export class DocumentEditor {
         try {
             // Use fitCurve to simplify the curve
             // The maxError parameter controls how closely the curve follows the original points
+            // fitCurve only accepts [x, y] points, so drop the pressure
             // @ts-ignore - fitCurve is loaded via script tag
-            bezierCurves = window.fitCurve(stroke, 2.0);
+            bezierCurves = window.fitCurve(stroke.map((point) => [point[0], point[1]]), 2.0);
             
             // Convert the bezier curves to an SVG path string
             if (bezierCurves.length > 0) {
@@ -125,6 +502,85 @@ export class DocumentEditor {
         return d;
     }
 
+    /**
+     * Generates per-node stroke widths from stroke pressures
+     * Each width belongs to the endpoint of the matching command in the path
+     * data. Strokes with constant pressure don't need widths.
+     * @param {Array<Array<number>>} stroke - The stroke points as [x, y, pressure]
+     * @param {string} d - The path data generated from the stroke
+     * @param {number} diameter - The pen diameter
+     * @returns {Array<number>|null} The widths, or null if the width is constant
+     */
+    generateWidthData(stroke, d, diameter) {
+        const pressures = stroke.map((point) => point[2] ?? DEFAULT_PRESSURE);
+        if (pressures.every((pressure) => pressure === pressures[0])) return null;
+
+        return this.findEndpointIndices(stroke, d)
+            .map((i) => parseFloat(roundNumber(getPressureWidth(diameter, pressures[i]))));
+    }
+
+    /**
+     * Finds the stroke point at each command endpoint of path data fitted to the stroke
+     * @param {Array<Array<number>>} stroke - The stroke points
+     * @param {string} d - The path data generated from the stroke
+     * @returns {Array<number>} The index of the stroke point at each command endpoint
+     */
+    findEndpointIndices(stroke, d) {
+        const indices = [];
+        let searchFrom = 0;
+
+        for (const command of parsePathData(d)) {
+            const [x, y] = command.points[command.points.length - 1];
+
+            // Path endpoints are stroke points, so find the nearest one further along the stroke
+            let nearest = searchFrom;
+            let nearestDistance = Infinity;
+            for (let i = searchFrom; i < stroke.length; i++) {
+                const distance = Math.hypot(stroke[i][0] - x, stroke[i][1] - y);
+                if (distance < nearestDistance) {
+                    nearest = i;
+                    nearestDistance = distance;
+                }
+                if (distance < 0.1) break;
+            }
+
+            indices.push(nearest);
+            searchFrom = nearest;
+        }
+
+        return indices;
+    }
+
+    /**
+     * Filters nodes that match a predicate
+     * @param {function(RenderNode): boolean} predicate - Checks if a node matches
+     * @param {RenderNode} node - The node to filter
+     * @param {Array} [removed=[]] - Array to store matching nodes
+     * @param {boolean} [keepMatching=false] - Whether to keep or remove matching nodes
+     * @param {boolean} [recurse=true] - Whether to recursively filter children
+     * @returns {Array} Array of matching nodes
+     */
+    filterNodes(predicate, node, removed = [], keepMatching = false, recurse = true) {
+        if (typeof node === 'string') return removed;
+
+        // Iterate over a copy since removals mutate the children array
+        for (const child of [...node.children]) {
+            if (typeof child === "string") continue;
+
+            const childMatches = predicate(child);
+
+            if (childMatches) removed.push(child);
+            
+            if (recurse) this.filterNodes(predicate, child, [], keepMatching, recurse);
+
+            if (childMatches && !keepMatching) {
+                this.history.execute(new RemoveNodeCommand(node, child));
+            }
+        }
+
+        return removed;
+    }
+
     /**
      * Filters nodes that intersect with a shape
      * @param {Object} shape - The shape to check for intersections
@@ -135,49 +591,224 @@ export class DocumentEditor {
      * @returns {Array} Array of removed nodes
      */
     filterIntersecting(shape, node, removed = [], keepIntersecting = false, recurse = true) {
-        if (typeof node === 'string') return removed;
+        return this.filterNodes((child) => {
+            if (child.tagName !== 'path') return false;
 
-        node.children = node.children.filter((/** @type {RenderNode | string} */ child) => {
-            if (typeof child === "string") return true;
+            child.renderAttributes ||= {};
+            // @ts-ignore - ShapeInfo.path is defined in the kld-intersections library
+            child.renderAttributes.shape ||= ShapeInfo.path(child.attributes.d);
+    
+            // Check for intersections between the path and the shape
+            // @ts-ignore - Intersection.intersect is defined in the kld-intersections library
+            return Intersection.intersect(child.renderAttributes.shape, shape).status === "Intersection";
+        }, node, removed, keepIntersecting, recurse);
+    }
 
-            let childIntersects = false;
-            if (child.tagName === 'path') {
-                child.renderAttributes ||= {};
-                // @ts-ignore - ShapeInfo.path is defined in the kld-intersections library
-                child.renderAttributes.shape ||= ShapeInfo.path(child.attributes.d);
-        
-                // Check for intersections between the path and the line
-                // @ts-ignore - Intersection.intersect is defined in the kld-intersections library
-                childIntersects = Intersection.intersect(child.renderAttributes.shape, shape).status === "Intersection";
+    /**
+     * Gets a path's flattened polylines, caching them on the node
+     * @param {RenderNode} pathNode - The path node
+     * @returns {Array<Array<Array<number>>>} The polylines as [x, y, s] points
+     */
+    getPolylines(pathNode) {
+        pathNode.renderAttributes ||= {};
+
+        if (!pathNode.renderAttributes.polylines) {
+            try {
+                pathNode.renderAttributes.polylines = flattenPathData(parsePathData(pathNode.attributes.d));
+            } catch (error) {
+                // Leave paths we can't parse out of geometry rather than failing the edit
+                console.error('Failed to parse path data:', error);
+                pathNode.renderAttributes.polylines = [];
             }
+        }
 
-            if (childIntersects) removed.push(child);
-            
-            if (recurse) this.filterIntersecting(shape, child, [], keepIntersecting, recurse);
+        return pathNode.renderAttributes.polylines;
+    }
 
-            return keepIntersecting || !childIntersects;
-        });
+    /**
+     * Checks if a path's ink touches the capsule swept by a circle along a segment
+     * The path counts as touched if its centerline comes within the circle's
+     * radius plus half of its own stroke width.
+     * @param {RenderNode} pathNode - The path node to test
+     * @param {Array<number>} start - The start point of the segment
+     * @param {Array<number>} end - The end point of the segment
+     * @param {number} radius - The radius of the circle
+     * @returns {boolean} True if the path is touched
+     */
+    hitTestPath(pathNode, start, end, radius) {
+        const { strokeWidth = 1, widths } = pathNode.noteSvgAttributes || {};
 
-        return removed;
+        for (const polyline of this.getPolylines(pathNode)) {
+            for (let i = 0; i < polyline.length; i++) {
+                const a = polyline[Math.max(0, i - 1)];
+                const b = polyline[i];
+
+                const width = widths?.length
+                    ? Math.max(interpolateNodeValue(widths, a[2]), interpolateNodeValue(widths, b[2]))
+                    : strokeWidth;
+
+                if (segmentDistance(a, b, start, end) <= radius + width * 0.5) return true;
+            }
+        }
+
+        return false;
     }
 
     /**
      * Processes an eraser stroke segment and removes intersecting paths
      * @param {Array<number>} start - The start point of the eraser stroke segment
      * @param {Array<number>} end - The end point of the eraser stroke segment
+     * @param {number} [diameter=0] - The eraser diameter
      * @returns {Array} Array of removed nodes
      */
-    processEraserStroke(start, end) {
-        // @ts-ignore - ShapeInfo.line is defined in the kld-intersections library
-        const line = ShapeInfo.line(start, end);
-        const removed = [];
-        
-        // Check for intersections with paths in the document
-        this.filterIntersecting(line, this.document, removed);
-        
+    processEraserStroke(start, end, diameter = 0) {
+        const radius = diameter * 0.5;
+        const candidates = this.queryPaths(start, end, radius);
+
+        // Remove paths touched by the capsule the eraser sweeps along the segment
+        return this.filterNodes((child) => child.tagName === 'path'
+            && (!candidates || candidates.has(child))
+            && this.hitTestPath(child, start, end, radius), this.document);
+    }
+
+    /**
+     * Processes a partial eraser stroke segment and cuts intersecting paths apart
+     * Paths are cut where the eraser's circle covers them; the remaining pieces
+     * replace the original path in the document.
+     * @param {Array<number>} start - The start point of the eraser stroke segment
+     * @param {Array<number>} end - The end point of the eraser stroke segment
+     * @param {number} diameter - The eraser diameter
+     * @param {RenderNode} [node=this.document] - The node to cut paths in
+     * @param {Array} [removed=[]] - Array to store replaced nodes
+     * @param {Set<RenderNode>|null} [candidates] - The paths near the segment, or null to test all paths
+     * @returns {Array} Array of replaced nodes
+     */
+    processPartialEraserStroke(start, end, diameter, node = this.document, removed = [],
+        candidates = this.queryPaths(start, end, diameter * 0.5)) {
+        if (typeof node === 'string') return removed;
+
+        for (const child of [...node.children || []]) {
+            if (typeof child === 'string') continue;
+
+            if (child.tagName !== 'path') {
+                this.processPartialEraserStroke(start, end, diameter, child, removed, candidates);
+                continue;
+            }
+
+            if (candidates && !candidates.has(child)) continue;
+
+            // Cut wherever the eraser's circle covers the stroke's ink
+            const pieces = this.cutPath(child, start, end, diameter * 0.5);
+            if (!pieces) continue;
+
+            removed.push(child);
+
+            // Put the pieces where the original path was to keep the drawing order,
+            // replacing it in a single undo step
+            const index = node.children.indexOf(child);
+            this.history.beginGroup();
+            this.history.execute(new RemoveNodeCommand(node, child));
+            pieces.forEach((piece, i) => {
+                this.history.execute(new AddNodeCommand(node, this.createPathPiece(child, piece), index + i));
+            });
+            this.history.endGroup();
+        }
+
         return removed;
     }
 
+    /**
+     * Cuts the parts of a path whose ink is within a radius of a segment
+     * The ink's half width is added to the radius at every point, using the
+     * interpolated width for variable-width strokes as hitTestPath does.
+     * @param {RenderNode} pathNode - The path node to cut
+     * @param {Array<number>} start - The start point of the segment
+     * @param {Array<number>} end - The end point of the segment
+     * @param {number} radius - The cutting radius around the segment
+     * @returns {Array<Array<Array<number>>>|null} The remaining pieces as [x, y, s] polylines,
+     *  or null if the path isn't cut
+     */
+    cutPath(pathNode, start, end, radius) {
+        const { strokeWidth = 1, widths } = pathNode.noteSvgAttributes || {};
+        const getWidth = (point) => widths?.length ? interpolateNodeValue(widths, point[2]) : strokeWidth;
+        const isInside = (point) => distanceToSegment(point, start, end) < radius + getWidth(point) * 0.5;
+        const pieces = [];
+        let cut = false;
+
+        for (const polyline of this.getPolylines(pathNode)) {
+            // Subdivide so that no segment can pass through the eraser unnoticed
+            const points = densifyPolyline(polyline, Math.max(radius * 0.5, 0.5));
+            let piece = null;
+            let previous = null;
+
+            for (const point of points) {
+                const inside = isInside(point);
+
+                if (previous && inside !== isInside(previous)) {
+                    // Find where the segment crosses the edge of the eraser
+                    let low = 0, high = 1;
+                    for (let i = 0; i < 12; i++) {
+                        const mid = (low + high) * 0.5;
+                        if (isInside(lerpPoint(previous, point, mid)) === inside) high = mid;
+                        else low = mid;
+                    }
+                    const boundary = lerpPoint(previous, point, (low + high) * 0.5);
+
+                    if (inside) {
+                        piece.push(boundary);
+                        pieces.push(piece);
+                        piece = null;
+                    } else {
+                        piece = [boundary];
+                    }
+                }
+
+                if (inside) {
+                    cut = true;
+                } else {
+                    piece ||= [];
+                    piece.push(point);
+                }
+
+                previous = point;
+            }
+
+            if (piece) pieces.push(piece);
+        }
+
+        if (!cut) return null;
+
+        // Drop crumbs too small to see
+        return pieces.filter((piece) => piece.length >= 2 && polylineLength(piece) >= 0.5);
+    }
+
+    /**
+     * Creates a path node for a piece cut out of another path
+     * @param {RenderNode} pathNode - The path node the piece was cut from
+     * @param {Array<Array<number>>} piece - The piece as [x, y, s] points
+     * @returns {RenderNode} The created path node
+     */
+    createPathPiece(pathNode, piece) {
+        const d = this.generatePathData(piece);
+        const { widths, ...noteSvgAttributes } = pathNode.noteSvgAttributes;
+
+        const pieceNode = {
+            tagName: "path",
+            attributes: { ...pathNode.attributes, d },
+            attributeOrder: pathNode.attributeOrder,
+            noteSvgAttributes: /** @type {Record<string, any>} */ (noteSvgAttributes),
+            renderAttributes: { path: new Path2D(d) },
+            children: []
+        };
+
+        if (widths?.length) {
+            pieceNode.noteSvgAttributes.widths = this.findEndpointIndices(piece, d)
+                .map((i) => parseFloat(roundNumber(interpolateNodeValue(widths, piece[i][2]))));
+        }
+
+        return pieceNode;
+    }
+
     /**
      * Clears all path elements from the document or a specific node
      * Used for the eraser tool's double-click functionality
@@ -194,22 +825,26 @@ export class DocumentEditor {
             return removed;
         }
         
-        node.children = node.children.filter((child) => {
-            if (typeof child === 'string') return true;
+        // Record the whole clear as a single undo step
+        this.history.beginGroup();
+
+        for (const child of [...node.children]) {
+            if (typeof child === 'string') continue;
             
-            // If it's a path, add it to removed and filter it out
+            // If it's a path, add it to removed and remove it
             if (child.tagName === 'path') {
                 removed.push(child);
-                return false;
+                this.history.execute(new RemoveNodeCommand(node, child));
+                continue;
             }
             
             // Process children recursively if recurse is true
             if (recurse) {
                 this.clearPaths(child, removed, recurse);
             }
-            
-            return true;
-        });
+        }
+
+        this.history.endGroup();
         
         return removed;
     }
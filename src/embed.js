@@ -0,0 +1,100 @@
+/**
+ * Embed snippets for the note.svg application
+ *
+ * This module turns a serialized note into the text the copy button puts on
+ * the clipboard. Besides the raw markup, notes can be copied as Markdown or
+ * HTML images with a data URI, for editors that strip inline SVG.
+ */
+
+/**
+ * A way of copying the note
+ * @typedef {"svg" | "markdown-base64" | "markdown-url" | "html"} CopyMode
+ */
+
+/**
+ * The supported copy modes
+ * @type {Array<CopyMode>}
+ */
+export const COPY_MODES = ["svg", "markdown-base64", "markdown-url", "html"];
+
+/**
+ * The mode used until another one is chosen
+ * @type {CopyMode}
+ */
+export const DEFAULT_COPY_MODE = "svg";
+
+/**
+ * Alt text for image snippets
+ * @type {string}
+ */
+const IMAGE_ALT_TEXT = "note.svg";
+
+/**
+ * Checks if a value is a known copy mode
+ * @param {any} mode - The value to check
+ * @returns {boolean} - True if the value is a copy mode
+ */
+export function isCopyMode(mode) {
+    return COPY_MODES.indexOf(mode) >= 0;
+}
+
+/**
+ * Encodes an SVG as a base64 data URI
+ * @param {string} svgString - The SVG markup
+ * @returns {string} - The data URI
+ */
+function toBase64DataUri(svgString) {
+    // btoa only takes Latin-1, so encode the UTF-8 bytes
+    let binary = '';
+    for (const byte of new TextEncoder().encode(svgString)) binary += String.fromCharCode(byte);
+
+    return `data:image/svg+xml;base64,${btoa(binary)}`;
+}
+
+/**
+ * Encodes an SVG as a percent-encoded data URI
+ * Characters that are safe in both URIs and Markdown links are left as they
+ * are, so the URI stays readable and smaller than base64. Parentheses are
+ * encoded because they end a Markdown link.
+ * @param {string} svgString - The SVG markup
+ * @returns {string} - The data URI
+ */
+function toUrlEncodedDataUri(svgString) {
+    const encoded = encodeURIComponent(svgString)
+        .replace(/%(2F|3A|3D|2C|3B|40)/g, (match) => decodeURIComponent(match))
+        .replace(/[()!*']/g, (char) => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+
+    return `data:image/svg+xml;charset=utf-8,${encoded}`;
+}
+
+/**
+ * Escapes text for an HTML attribute value
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHtmlAttribute(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Creates the text to copy for a serialized note
+ * @param {string} svgString - The note's SVG markup
+ * @param {CopyMode} mode - How to copy the note
+ * @param {{width: number, height: number}} size - The note's size, for HTML images
+ * @returns {string} - The text to copy
+ */
+export function createEmbedSnippet(svgString, mode, size) {
+    switch (mode) {
+        case "markdown-base64":
+            return `![${IMAGE_ALT_TEXT}](${toBase64DataUri(svgString)})`;
+        case "markdown-url":
+            return `![${IMAGE_ALT_TEXT}](${toUrlEncodedDataUri(svgString)})`;
+        case "html":
+            return `<img src="${escapeHtmlAttribute(toBase64DataUri(svgString))}" alt="${IMAGE_ALT_TEXT}"`
+                + ` width="${size.width}" height="${size.height}">`;
+        case "svg":
+            return svgString;
+        default:
+            throw new Error(`Unknown copy mode "${mode}"`);
+    }
+}
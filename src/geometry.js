@@ -0,0 +1,189 @@
+/**
+ * Geometry helpers for the note.svg application
+ *
+ * This module provides the small amount of plane geometry needed for hit
+ * testing, cutting strokes and measuring content.
+ */
+
+/**
+ * An axis-aligned bounding box
+ * @typedef {{min: Array<number>, max: Array<number>}} BoundingBox
+ */
+
+/**
+ * Linearly interpolates between two points of any dimension
+ * @param {Array<number>} a - The first point
+ * @param {Array<number>} b - The second point
+ * @param {number} t - The interpolation factor between 0 and 1
+ * @returns {Array<number>} - The interpolated point
+ */
+export function lerpPoint(a, b, t) {
+    return a.map((value, i) => value + ((b[i] ?? value) - value) * t);
+}
+
+/**
+ * Computes the distance from a point to a line segment
+ * @param {Array<number>} point - The point as [x, y]
+ * @param {Array<number>} start - The segment start as [x, y]
+ * @param {Array<number>} end - The segment end as [x, y]
+ * @returns {number} - The distance
+ */
+export function distanceToSegment(point, start, end) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const lengthSquared = dx * dx + dy * dy;
+
+    let t = 0;
+    if (lengthSquared > 0) {
+        t = ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared;
+        t = Math.max(0, Math.min(1, t));
+    }
+
+    return Math.hypot(point[0] - (start[0] + t * dx), point[1] - (start[1] + t * dy));
+}
+
+/**
+ * Computes the cross product of the vectors from an origin to two points
+ * @param {Array<number>} origin - The origin
+ * @param {Array<number>} a - The first point
+ * @param {Array<number>} b - The second point
+ * @returns {number} - The cross product
+ */
+function cross(origin, a, b) {
+    return (a[0] - origin[0]) * (b[1] - origin[1]) - (a[1] - origin[1]) * (b[0] - origin[0]);
+}
+
+/**
+ * Checks if two line segments cross
+ * Touching and collinear segments are handled by segmentDistance instead.
+ * @param {Array<number>} a0 - The first segment's start
+ * @param {Array<number>} a1 - The first segment's end
+ * @param {Array<number>} b0 - The second segment's start
+ * @param {Array<number>} b1 - The second segment's end
+ * @returns {boolean} - True if the segments cross
+ */
+export function segmentsIntersect(a0, a1, b0, b1) {
+    const d0 = cross(b0, b1, a0);
+    const d1 = cross(b0, b1, a1);
+    const d2 = cross(a0, a1, b0);
+    const d3 = cross(a0, a1, b1);
+
+    return ((d0 > 0 && d1 < 0) || (d0 < 0 && d1 > 0))
+        && ((d2 > 0 && d3 < 0) || (d2 < 0 && d3 > 0));
+}
+
+/**
+ * Computes the shortest distance between two line segments
+ * @param {Array<number>} a0 - The first segment's start
+ * @param {Array<number>} a1 - The first segment's end
+ * @param {Array<number>} b0 - The second segment's start
+ * @param {Array<number>} b1 - The second segment's end
+ * @returns {number} - The distance, or 0 if the segments cross
+ */
+export function segmentDistance(a0, a1, b0, b1) {
+    if (segmentsIntersect(a0, a1, b0, b1)) return 0;
+
+    return Math.min(
+        distanceToSegment(a0, b0, b1),
+        distanceToSegment(a1, b0, b1),
+        distanceToSegment(b0, a0, a1),
+        distanceToSegment(b1, a0, a1)
+    );
+}
+
+/**
+ * Subdivides a polyline so that no segment is longer than a maximum length
+ * @param {Array<Array<number>>} polyline - The polyline's points
+ * @param {number} maxLength - The maximum segment length
+ * @returns {Array<Array<number>>} - The subdivided polyline
+ */
+export function densifyPolyline(polyline, maxLength) {
+    if (polyline.length === 0) return [];
+
+    const densified = [polyline[0]];
+    for (let i = 1; i < polyline.length; i++) {
+        const a = polyline[i - 1];
+        const b = polyline[i];
+        const steps = Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1]) / maxLength);
+
+        for (let step = 1; step < steps; step++) densified.push(lerpPoint(a, b, step / steps));
+        densified.push(b);
+    }
+
+    return densified;
+}
+
+/**
+ * Computes the length of a polyline
+ * @param {Array<Array<number>>} polyline - The polyline's points
+ * @returns {number} - The length
+ */
+export function polylineLength(polyline) {
+    let length = 0;
+    for (let i = 1; i < polyline.length; i++) {
+        length += Math.hypot(polyline[i][0] - polyline[i - 1][0], polyline[i][1] - polyline[i - 1][1]);
+    }
+    return length;
+}
+
+/**
+ * Computes the bounding box of a set of points
+ * @param {Iterable<Array<number>>} points - The points
+ * @returns {BoundingBox|null} - The bounding box, or null if there are no points
+ */
+export function pointsBoundingBox(points) {
+    let bbox = null;
+
+    for (const [x, y] of points) {
+        if (!bbox) {
+            bbox = { min: [x, y], max: [x, y] };
+            continue;
+        }
+        bbox.min[0] = Math.min(bbox.min[0], x);
+        bbox.min[1] = Math.min(bbox.min[1], y);
+        bbox.max[0] = Math.max(bbox.max[0], x);
+        bbox.max[1] = Math.max(bbox.max[1], y);
+    }
+
+    return bbox;
+}
+
+/**
+ * Computes the smallest bounding box containing two bounding boxes
+ * @param {BoundingBox|null} a - The first bounding box
+ * @param {BoundingBox|null} b - The second bounding box
+ * @returns {BoundingBox|null} - The union, or null if both are null
+ */
+export function unionBoundingBoxes(a, b) {
+    if (!a) return b && { min: b.min.slice(), max: b.max.slice() };
+    if (!b) return { min: a.min.slice(), max: a.max.slice() };
+
+    return {
+        min: [Math.min(a.min[0], b.min[0]), Math.min(a.min[1], b.min[1])],
+        max: [Math.max(a.max[0], b.max[0]), Math.max(a.max[1], b.max[1])]
+    };
+}
+
+/**
+ * Grows a bounding box by a margin on every side
+ * @param {BoundingBox} bbox - The bounding box
+ * @param {number} margin - The margin
+ * @returns {BoundingBox} - The grown bounding box
+ */
+export function expandBoundingBox(bbox, margin) {
+    return {
+        min: [bbox.min[0] - margin, bbox.min[1] - margin],
+        max: [bbox.max[0] + margin, bbox.max[1] + margin]
+    };
+}
+
+/**
+ * Checks if two bounding boxes overlap
+ * @param {BoundingBox} a - The first bounding box
+ * @param {BoundingBox} b - The second bounding box
+ * @returns {boolean} - True if the boxes overlap or touch
+ */
+export function boundingBoxesOverlap(a, b) {
+    return a.min[0] <= b.max[0] && b.min[0] <= a.max[0]
+        && a.min[1] <= b.max[1] && b.min[1] <= a.max[1];
+}
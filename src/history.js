@@ -0,0 +1,341 @@
+/**
+ * Command history for the note.svg application
+ *
+ * This module provides reversible document commands and the undo/redo
+ * stacks that record them. Every mutation of the document tree goes through
+ * a command so that it can be reverted and re-applied.
+ */
+
+/**
+ * @typedef {import("./stroke.js").RenderNode} RenderNode
+ */
+
+/**
+ * A reversible document mutation
+ * @typedef {Object} Command
+ * @property {function(): void} apply - Applies the mutation to the document
+ * @property {function(): void} revert - Reverts the mutation
+ */
+
+/**
+ * Default maximum number of undo steps kept in memory
+ * @type {number}
+ */
+const DEFAULT_HISTORY_LIMIT = 200;
+
+/**
+ * Inserts a child node into a parent node
+ */
+export class AddNodeCommand {
+    /**
+     * Creates a new AddNodeCommand instance
+     * @param {RenderNode} parent - The node to insert into
+     * @param {RenderNode} node - The node to insert
+     * @param {number} [index=-1] - The index to insert at, or -1 to append
+     */
+    constructor(parent, node, index = -1) {
+        this.parent = parent;
+        this.node = node;
+        this.index = index;
+    }
+
+    apply() {
+        this.parent.children ||= [];
+        const index = this.index < 0 ? this.parent.children.length : this.index;
+        this.parent.children.splice(index, 0, this.node);
+        this.index = index;
+    }
+
+    revert() {
+        const index = this.parent.children.indexOf(this.node);
+        if (index >= 0) this.parent.children.splice(index, 1);
+    }
+}
+
+/**
+ * Removes a child node from a parent node
+ */
+export class RemoveNodeCommand {
+    /**
+     * Creates a new RemoveNodeCommand instance
+     * @param {RenderNode} parent - The node to remove from
+     * @param {RenderNode} node - The node to remove
+     */
+    constructor(parent, node) {
+        this.parent = parent;
+        this.node = node;
+        /** @type {number} */
+        this.index = -1;
+    }
+
+    apply() {
+        // Remember where the node was so that revert puts it back in place
+        this.index = this.parent.children.indexOf(this.node);
+        if (this.index >= 0) this.parent.children.splice(this.index, 1);
+    }
+
+    revert() {
+        if (this.index >= 0) this.parent.children.splice(this.index, 0, this.node);
+    }
+}
+
+/**
+ * Replaces some of a node's noteSvgAttributes
+ */
+export class SetAttributesCommand {
+    /**
+     * Creates a new SetAttributesCommand instance
+     * @param {RenderNode} node - The node to update
+     * @param {Record<string, any>} values - The noteSvgAttributes to set
+     */
+    constructor(node, values) {
+        this.node = node;
+        this.values = values;
+        /** @type {Record<string, any>} */
+        this.previous = {};
+    }
+
+    apply() {
+        this.node.noteSvgAttributes ||= {};
+        for (const key in this.values) {
+            this.previous[key] = this.node.noteSvgAttributes[key];
+            this.node.noteSvgAttributes[key] = this.values[key];
+        }
+    }
+
+    revert() {
+        Object.assign(this.node.noteSvgAttributes, this.previous);
+    }
+}
+
+/**
+ * Groups several commands into a single undo step
+ */
+export class CompositeCommand {
+    /**
+     * Creates a new CompositeCommand instance
+     * @param {Array<Command>} [commands=[]] - The grouped commands, in order of application
+     */
+    constructor(commands = []) {
+        this.commands = commands;
+    }
+
+    apply() {
+        for (const command of this.commands) command.apply();
+    }
+
+    revert() {
+        // Revert in reverse order so that recorded indices stay valid
+        for (let i = this.commands.length - 1; i >= 0; i--) this.commands[i].revert();
+    }
+}
+
+/**
+ * Records applied commands on undo/redo stacks
+ */
+export class CommandHistory {
+    /**
+     * Creates a new CommandHistory instance
+     * @param {number} [limit=DEFAULT_HISTORY_LIMIT] - Maximum number of undo steps to keep
+     */
+    constructor(limit = DEFAULT_HISTORY_LIMIT) {
+        /** @type {Array<Command>} */
+        this.undoStack = [];
+
+        /** @type {Array<Command>} */
+        this.redoStack = [];
+
+        /** @type {number} */
+        this.limit = limit;
+
+        /** @type {CompositeCommand|null} */
+        this.group = null;
+
+        /** @type {number} */
+        this.groupDepth = 0;
+
+        /** @type {Array<function(CommandHistory): void>} */
+        this.listeners = [];
+
+        /** @type {Array<function(Command, boolean, boolean): void>} */
+        this.commandListeners = [];
+    }
+
+    /**
+     * Applies a command and records it as an undo step
+     * @param {Command} command - The command to execute
+     * @returns {Command} The executed command
+     */
+    execute(command) {
+        command.apply();
+        this.notifyCommand(command, false);
+
+        if (this.group) {
+            this.group.commands.push(command);
+        } else {
+            this.push(command);
+        }
+
+        return command;
+    }
+
+    /**
+     * Pushes an applied command onto the undo stack and clears the redo stack
+     * @param {Command} command - The command to record
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Starts grouping executed commands into a single undo step
+     * Groups may be nested; only the outermost group is recorded.
+     */
+    beginGroup() {
+        if (this.groupDepth++ === 0) this.group = new CompositeCommand();
+    }
+
+    /**
+     * Ends the current group and records it if it contains any commands
+     */
+    endGroup() {
+        if (this.groupDepth === 0) return;
+        if (--this.groupDepth > 0) return;
+
+        const group = this.group;
+        this.group = null;
+
+        if (group.commands.length > 0) this.push(group);
+    }
+
+    /**
+     * Ends the current group, however deeply nested
+     */
+    closeGroup() {
+        if (this.groupDepth > 0) {
+            this.groupDepth = 1;
+            this.endGroup();
+        }
+    }
+
+    /**
+     * Applies a command without recording it as an undo step
+     * Used for changes made elsewhere, such as in another tab, which the local
+     * user shouldn't undo. Command listeners are told the command is external.
+     * @param {Command} command - The command to apply
+     * @returns {Command} The applied command
+     */
+    applyExternal(command) {
+        command.apply();
+        this.notifyCommand(command, false, true);
+        return command;
+    }
+
+    /**
+     * Reverts the most recent undo step
+     * @returns {boolean} True if a step was undone
+     */
+    undo() {
+        if (this.group) this.closeGroup();
+
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        command.revert();
+        this.notifyCommand(command, true);
+        this.redoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Re-applies the most recently undone step
+     * @returns {boolean} True if a step was redone
+     */
+    redo() {
+        if (this.group) this.closeGroup();
+
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        command.apply();
+        this.notifyCommand(command, false);
+        this.undoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Checks if there is a step to undo
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Checks if there is a step to redo
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Discards all recorded steps, e.g. after loading a new document
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null;
+        this.groupDepth = 0;
+        this.notify();
+    }
+
+    /**
+     * Registers a listener called whenever the stacks change
+     * @param {function(CommandHistory): void} listener - The listener to add
+     */
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notifies all listeners of a change
+     */
+    notify() {
+        for (const listener of this.listeners) listener(this);
+    }
+
+    /**
+     * Registers a listener called whenever a command is applied or reverted
+     * This includes commands executed inside a group, every undo and redo, and
+     * external commands.
+     * @param {function(Command, boolean, boolean): void} listener - The listener to add, called
+     *  with the command, whether it was reverted and whether it was external
+     */
+    addCommandListener(listener) {
+        this.commandListeners.push(listener);
+    }
+
+    /**
+     * Removes a listener registered with addCommandListener
+     * @param {function(Command, boolean, boolean): void} listener - The listener to remove
+     */
+    removeCommandListener(listener) {
+        this.commandListeners = this.commandListeners.filter((item) => item !== listener);
+    }
+
+    /**
+     * Notifies all command listeners of an applied or reverted command
+     * @param {Command} command - The command
+     * @param {boolean} reverted - Whether the command was reverted
+     * @param {boolean} [external=false] - Whether the command came from elsewhere
+     */
+    notifyCommand(command, reverted, external = false) {
+        for (const listener of this.commandListeners) listener(command, reverted, external);
+    }
+}
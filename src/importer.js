@@ -0,0 +1,475 @@
+/**
+ * SVG drawing import for the note.svg application
+ *
+ * This module turns SVGs drawn elsewhere into note.svg strokes. Groups and
+ * transforms are flattened, basic shapes and every path command become
+ * absolute M, L and C paths, and stroke styles are read from presentation
+ * attributes and inline styles. It works on trees straight from txml.parse,
+ * before transform() reads the path attributes.
+ */
+
+import { isDeclaration } from "./notesvg.js";
+import { parsePathData, serializePathData } from "./path-data.js";
+import { normalizeColor } from "./utils.js";
+
+/**
+ * @typedef {import("./txml.js").tNode} tNode
+ */
+
+/**
+ * @typedef {import("./path-data.js").PathCommand} PathCommand
+ */
+
+/**
+ * A 2D affine transform as [a, b, c, d, e, f], mapping (x, y) to
+ * (a x + c y + e, b x + d y + f) like an SVG matrix()
+ * @typedef {Array<number>} Matrix
+ */
+
+/**
+ * Stroke styles inherited from ancestors
+ * @typedef {Object} InheritedStyle
+ * @property {string} [stroke] - The stroke color
+ * @property {string} [stroke-width] - The stroke width
+ * @property {string} [stroke-opacity] - The stroke opacity
+ * @property {string} [fill] - The fill color
+ * @property {string} [display] - Whether the element is displayed
+ */
+
+/**
+ * The identity transform
+ * @type {Matrix}
+ */
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Elements converted to paths
+ * @type {Array<string>}
+ */
+const SHAPE_ELEMENTS = ['path', 'line', 'polyline', 'polygon', 'rect', 'circle', 'ellipse'];
+
+/**
+ * Elements whose content is drawn in place, and so is flattened into the root
+ * @type {Array<string>}
+ */
+const CONTAINER_ELEMENTS = ['g', 'svg', 'a'];
+
+/**
+ * Style properties that are inherited and read from shapes
+ * @type {Array<string>}
+ */
+const STYLE_PROPERTIES = ['stroke', 'stroke-width', 'stroke-opacity', 'fill', 'display'];
+
+/**
+ * Stroke color used when a shape's is "currentColor", which follows the theme's ink
+ * @type {string}
+ */
+const DEFAULT_INK = '#000000';
+
+/**
+ * Bézier control point distance for approximating a quarter ellipse
+ * @type {number}
+ */
+const KAPPA = 0.5522847498;
+
+/**
+ * Multiplies two transforms, so that the result applies b and then a
+ * @param {Matrix} a - The outer transform
+ * @param {Matrix} b - The inner transform
+ * @returns {Matrix} - The combined transform
+ */
+function multiplyMatrices(a, b) {
+    return [
+        a[0] * b[0] + a[2] * b[1],
+        a[1] * b[0] + a[3] * b[1],
+        a[0] * b[2] + a[2] * b[3],
+        a[1] * b[2] + a[3] * b[3],
+        a[0] * b[4] + a[2] * b[5] + a[4],
+        a[1] * b[4] + a[3] * b[5] + a[5]
+    ];
+}
+
+/**
+ * Applies a transform to a point
+ * @param {Matrix} m - The transform
+ * @param {Array<number>} point - The point as [x, y]
+ * @returns {Array<number>} - The transformed point
+ */
+function applyMatrix(m, point) {
+    return [m[0] * point[0] + m[2] * point[1] + m[4], m[1] * point[0] + m[3] * point[1] + m[5]];
+}
+
+/**
+ * Checks if a transform does nothing
+ * @param {Matrix} m - The transform
+ * @returns {boolean} - True if the transform is the identity
+ */
+function isIdentity(m) {
+    return m.every((value, i) => value === IDENTITY[i]);
+}
+
+/**
+ * Parses an SVG transform attribute
+ * @param {string} [transform] - The transform list, i.e. "translate(10 20) rotate(45)"
+ * @returns {Matrix} - The combined transform
+ */
+function parseTransform(transform) {
+    let matrix = IDENTITY;
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+
+    let match;
+    while ((match = pattern.exec(transform || '')) !== null) {
+        const args = match[2].trim().split(/[\s,]+/).filter(Boolean).map(parseFloat);
+        const radians = (args[0] || 0) * Math.PI / 180;
+        let step;
+
+        switch (match[1]) {
+            case 'matrix':
+                step = args.length === 6 ? args : IDENTITY;
+                break;
+            case 'translate':
+                step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                break;
+            case 'scale':
+                step = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+                break;
+            case 'rotate': {
+                const [cx = 0, cy = 0] = args.slice(1);
+                const cos = Math.cos(radians), sin = Math.sin(radians);
+                step = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                break;
+            }
+            case 'skewX':
+                step = [1, 0, Math.tan(radians), 1, 0, 0];
+                break;
+            case 'skewY':
+                step = [1, Math.tan(radians), 0, 1, 0, 0];
+                break;
+        }
+
+        matrix = multiplyMatrices(matrix, step);
+    }
+
+    return matrix;
+}
+
+/**
+ * Reads the stroke styles set on an element, inline styles taking precedence
+ * over presentation attributes
+ * @param {tNode} node - The element
+ * @returns {InheritedStyle} - The styles set on the element
+ */
+function readStyle(node) {
+    /** @type {InheritedStyle} */
+    const style = {};
+
+    for (const name of STYLE_PROPERTIES) {
+        if (typeof node.attributes[name] === 'string') style[name] = node.attributes[name].trim();
+    }
+
+    for (const declaration of String(node.attributes.style || '').split(';')) {
+        const colon = declaration.indexOf(':');
+        if (colon < 0) continue;
+
+        const name = declaration.slice(0, colon).trim().toLowerCase();
+        const value = declaration.slice(colon + 1).replace(/!important/i, '').trim();
+        if (STYLE_PROPERTIES.indexOf(name) >= 0 && value && value !== 'inherit') style[name] = value;
+    }
+
+    return style;
+}
+
+/**
+ * Reads a numeric attribute
+ * @param {tNode} node - The element
+ * @param {string} name - The attribute name
+ * @param {number} [fallback=0] - The value if the attribute is missing or not a number
+ * @returns {number} - The value
+ */
+function readNumber(node, name, fallback = 0) {
+    const value = parseFloat(node.attributes[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Reads a list of points, as used by <polyline> and <polygon>
+ * @param {string} [points] - The points attribute
+ * @returns {Array<Array<number>>} - The points as [x, y]
+ */
+function readPoints(points) {
+    const values = String(points || '').trim().split(/[\s,]+/).filter(Boolean).map(parseFloat);
+    const result = [];
+    for (let i = 0; i + 1 < values.length; i += 2) result.push([values[i], values[i + 1]]);
+    return result;
+}
+
+/**
+ * Creates the commands outlining an ellipse, starting from its rightmost point
+ * @param {number} cx - The center x
+ * @param {number} cy - The center y
+ * @param {number} rx - The x radius
+ * @param {number} ry - The y radius
+ * @returns {Array<PathCommand>} - The commands
+ */
+function ellipseCommands(cx, cy, rx, ry) {
+    const kx = rx * KAPPA, ky = ry * KAPPA;
+
+    return [
+        { type: 'M', points: [[cx + rx, cy]] },
+        { type: 'C', points: [[cx + rx, cy + ky], [cx + kx, cy + ry], [cx, cy + ry]] },
+        { type: 'C', points: [[cx - kx, cy + ry], [cx - rx, cy + ky], [cx - rx, cy]] },
+        { type: 'C', points: [[cx - rx, cy - ky], [cx - kx, cy - ry], [cx, cy - ry]] },
+        { type: 'C', points: [[cx + kx, cy - ry], [cx + rx, cy - ky], [cx + rx, cy]] }
+    ];
+}
+
+/**
+ * Converts a shape element to absolute path commands
+ * @param {tNode} node - The shape element
+ * @returns {Array<PathCommand>} - The commands, empty if the shape draws nothing
+ */
+function shapeCommands(node) {
+    const number = (name, fallback = 0) => readNumber(node, name, fallback);
+
+    switch (node.tagName) {
+        case 'path':
+            try {
+                return parsePathData(node.attributes.d);
+            } catch (error) {
+                console.warn(`Skipped a path with invalid data: ${error.message}`);
+                return [];
+            }
+
+        case 'line':
+            return [
+                { type: 'M', points: [[number('x1'), number('y1')]] },
+                { type: 'L', points: [[number('x2'), number('y2')]] }
+            ];
+
+        case 'polyline':
+        case 'polygon': {
+            const points = readPoints(node.attributes.points);
+            if (points.length === 0) return [];
+
+            /** @type {Array<PathCommand>} */
+            const commands = points.map((point, i) => ({ type: i === 0 ? 'M' : 'L', points: [point] }));
+            if (node.tagName === 'polygon') commands.push({ type: 'Z', points: [points[0]] });
+            return commands;
+        }
+
+        case 'rect': {
+            const x = number('x'), y = number('y'), width = number('width'), height = number('height');
+            if (width <= 0 || height <= 0) return [];
+
+            // A missing radius takes the other one's value
+            let rx = readNumber(node, 'rx', NaN), ry = readNumber(node, 'ry', NaN);
+            rx = Math.min(Math.max(0, isNaN(rx) ? (isNaN(ry) ? 0 : ry) : rx), width / 2);
+            ry = Math.min(Math.max(0, isNaN(ry) ? rx : ry), height / 2);
+
+            if (rx === 0 || ry === 0) {
+                return [
+                    { type: 'M', points: [[x, y]] },
+                    { type: 'L', points: [[x + width, y]] },
+                    { type: 'L', points: [[x + width, y + height]] },
+                    { type: 'L', points: [[x, y + height]] },
+                    { type: 'Z', points: [[x, y]] }
+                ];
+            }
+
+            const kx = rx * (1 - KAPPA), ky = ry * (1 - KAPPA);
+            const right = x + width, bottom = y + height;
+            return [
+                { type: 'M', points: [[x + rx, y]] },
+                { type: 'L', points: [[right - rx, y]] },
+                { type: 'C', points: [[right - kx, y], [right, y + ky], [right, y + ry]] },
+                { type: 'L', points: [[right, bottom - ry]] },
+                { type: 'C', points: [[right, bottom - ky], [right - kx, bottom], [right - rx, bottom]] },
+                { type: 'L', points: [[x + rx, bottom]] },
+                { type: 'C', points: [[x + kx, bottom], [x, bottom - ky], [x, bottom - ry]] },
+                { type: 'L', points: [[x, y + ry]] },
+                { type: 'C', points: [[x, y + ky], [x + kx, y], [x + rx, y]] }
+            ];
+        }
+
+        case 'circle': {
+            const r = number('r');
+            return r > 0 ? ellipseCommands(number('cx'), number('cy'), r, r) : [];
+        }
+
+        case 'ellipse': {
+            const rx = number('rx'), ry = number('ry');
+            return rx > 0 && ry > 0 ? ellipseCommands(number('cx'), number('cy'), rx, ry) : [];
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Transforms commands and replaces closing commands with lines, as note.svg has no Z
+ * @param {Array<PathCommand>} commands - The absolute commands
+ * @param {Matrix} matrix - The transform to apply
+ * @returns {Array<PathCommand>} - The transformed commands
+ */
+function transformCommands(commands, matrix) {
+    return commands.map((command) => ({
+        type: command.type === 'Z' ? 'L' : command.type,
+        points: command.points.map((point) => applyMatrix(matrix, point))
+    }));
+}
+
+/**
+ * Creates a note.svg path from a shape element
+ * Shapes that are only filled are outlined in their fill color, so that
+ * they still show up as strokes.
+ * @param {tNode} node - The shape element
+ * @param {Matrix} matrix - The transform from the shape to the root
+ * @param {InheritedStyle} style - The shape's computed stroke styles
+ * @returns {tNode|null} - The path, or null if the shape draws nothing
+ */
+function createImportedPath(node, matrix, style) {
+    const paint = (value) => (value && value !== 'none' && value !== 'transparent') ? value : null;
+    let stroke = paint(style.stroke) || paint(style.fill ?? 'black');
+    if (!stroke) return null;
+    stroke = stroke === 'currentColor' ? DEFAULT_INK : normalizeColor(stroke);
+
+    const commands = transformCommands(shapeCommands(node), matrix);
+    if (commands.length === 0) return null;
+
+    // Scale the width by the transform's average scale
+    const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    const width = parseFloat(style['stroke-width'] ?? '1');
+    const strokeWidth = Math.round((isNaN(width) ? 1 : width) * scale * 100) / 100;
+
+    /** @type {Record<string, any>} */
+    const attributes = {
+        d: serializePathData(commands).trim(),
+        stroke,
+        'stroke-width': String(strokeWidth),
+        fill: 'none'
+    };
+
+    const opacity = parseFloat(style['stroke-opacity']);
+    if (!isNaN(opacity) && opacity < 1) attributes['stroke-opacity'] = String(Math.max(0, opacity));
+
+    return { tagName: 'path', attributes, children: [] };
+}
+
+/**
+ * Checks if a path is already a plain note.svg path that can be kept as is
+ * @param {tNode} node - The path element
+ * @returns {boolean} - True if the path needs no conversion
+ */
+function isNoteSvgPath(node) {
+    return node.tagName === 'path'
+        && node.attributes.transform === undefined
+        && node.attributes.style === undefined
+        && /^[MLC\d\s,.eE+-]*$/.test(String(node.attributes.d || ''));
+}
+
+/**
+ * Flattens an element's children into a list of note.svg nodes
+ * @param {tNode} parent - The element
+ * @param {Matrix} matrix - The transform from the element to the root
+ * @param {InheritedStyle} inherited - The element's computed stroke styles
+ * @param {boolean} isRoot - Whether the element is the root <svg>
+ * @param {{converted: number}} counts - Counts the converted elements
+ * @returns {Array<tNode | string>} - The flattened children
+ */
+function flattenChildren(parent, matrix, inherited, isRoot, counts) {
+    const flattened = [];
+
+    for (const child of parent.children || []) {
+        if (typeof child === 'string' || isDeclaration(child)) {
+            flattened.push(child);
+            continue;
+        }
+
+        const style = { ...inherited, ...readStyle(child) };
+        if (style.display === 'none') {
+            counts.converted++;
+            continue;
+        }
+
+        // The editor's own "Edit" link and everything that isn't drawn stay where they are
+        const isLink = child.tagName === 'a' && isRoot && !(child.children || []).some(
+            (grandchild) => typeof grandchild !== 'string' && SHAPE_ELEMENTS.indexOf(grandchild.tagName) >= 0);
+        const isContainer = CONTAINER_ELEMENTS.indexOf(child.tagName) >= 0 && !isLink;
+
+        if (isContainer) {
+            let childMatrix = multiplyMatrices(matrix, parseTransform(child.attributes.transform));
+            if (child.tagName === 'svg') {
+                childMatrix = multiplyMatrices(childMatrix, [1, 0, 0, 1, readNumber(child, 'x'), readNumber(child, 'y')]);
+            }
+            flattened.push(...flattenChildren(child, childMatrix, style, false, counts));
+            counts.converted++;
+        } else if (SHAPE_ELEMENTS.indexOf(child.tagName) >= 0) {
+            const childMatrix = multiplyMatrices(matrix, parseTransform(child.attributes.transform));
+            if (isNoteSvgPath(child) && isIdentity(childMatrix) && isRoot) {
+                flattened.push(child);
+                continue;
+            }
+
+            const path = createImportedPath(child, childMatrix, style);
+            if (path) flattened.push(path);
+            counts.converted++;
+        } else {
+            flattened.push(child);
+        }
+    }
+
+    return flattened;
+}
+
+/**
+ * Computes the transform from a root <svg>'s viewBox to its width and height
+ * Follows the default preserveAspectRatio, which scales uniformly and centers.
+ * A missing width or height is taken from the viewBox.
+ * @param {tNode} root - The root <svg> element
+ * @returns {{matrix: Matrix, size: Array<number>|null}} - The transform, and the width and height
+ *  it maps to, or null if the root has no usable viewBox
+ */
+function getViewBoxMatrix(root) {
+    const viewBox = String(root.attributes.viewBox || '').trim().split(/[\s,]+/).map(parseFloat);
+    if (viewBox.length !== 4 || viewBox.some(isNaN) || viewBox[2] <= 0 || viewBox[3] <= 0) {
+        return { matrix: IDENTITY, size: null };
+    }
+
+    const [minX, minY, viewWidth, viewHeight] = viewBox;
+    const width = readNumber(root, 'width', viewWidth);
+    const height = readNumber(root, 'height', viewHeight);
+
+    const scale = Math.min(width / viewWidth, height / viewHeight);
+    const matrix = [
+        scale, 0, 0, scale,
+        (width - viewWidth * scale) / 2 - minX * scale,
+        (height - viewHeight * scale) / 2 - minY * scale
+    ];
+    return { matrix, size: [width, height] };
+}
+
+/**
+ * Converts an SVG drawing in place into note.svg paths
+ * Documents that are already note.svg are left unchanged.
+ * @param {tNode} root - The root <svg> element, straight from txml.parse
+ * @returns {number} - The number of elements that were converted or flattened
+ */
+export function importSvgDrawing(root) {
+    const counts = { converted: 0 };
+    const { matrix, size } = getViewBoxMatrix(root);
+
+    const children = flattenChildren(root, matrix, readStyle(root), true, counts);
+    if (counts.converted === 0) return 0;
+
+    root.children = children;
+    if (size) {
+        root.attributes.width = String(size[0]);
+        root.attributes.height = String(size[1]);
+    }
+    // Content is now in the coordinates of the width and height
+    if (!isIdentity(matrix)) {
+        root.attributes.viewBox = `0 0 ${root.attributes.width} ${root.attributes.height}`;
+    }
+
+    return counts.converted;
+}
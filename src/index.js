@@ -4,10 +4,13 @@
 
 import { StrokeRenderer } from "./stroke.js";
 import { DocumentEditor } from "./document-editor.js";
-import { transform } from "./notesvg.js";
-import * as txml from "./txml.js";
-import { setupButtonHandlers, setupCanvas, updateDocument, serializeDocument } from "./ui.js";
-import { isValidSvg, loadFromLocalStorage, saveToLocalStorage } from "./utils.js";
+import { importSvgDrawing } from "./importer.js";
+import { migrateDocument } from "./migrations.js";
+import { NOTESVG_VERSION, parseSvgDocument, transform } from "./notesvg.js";
+import { sanitizeSvg } from "./sanitizer.js";
+import { loadLibrary, setupAutosave, setupButtonHandlers, setupCanvas, setupTabSync } from "./ui.js";
+import { isValidSvg } from "./utils.js";
+import { validateNoteSvg } from "./validator.js";
 
 /**
  * Creates a default note document with SVG structure
@@ -34,7 +37,7 @@ function createDefaultDocument() {
                         tagName: 'notesvg',
                         attributes: {},
                         noteSvgAttributes: {
-                            version: "1.0"
+                            version: NOTESVG_VERSION
                         },
                         children: []
                     }
@@ -47,43 +50,60 @@ function createDefaultDocument() {
 /**
  * Deserializes an SVG string to a noteDocument
  * @param {string} svgString - The SVG string to deserialize
+ * @param {boolean} [strict=false] - Whether to reject SVGs with unsafe or unsupported content instead of stripping it
  * @returns {Object} - The deserialized noteDocument
+ * @throws {import("./migrations.js").UnsupportedVersionError} - If the document needs a newer editor
+ * @throws {import("./sanitizer.js").UnsafeSvgError} - In strict mode, if the SVG has content that isn't allowed
  */
-function deserializeDocument(svgString) {
+function deserializeDocument(svgString, strict = false) {
     if (!isValidSvg(svgString)) {
         throw new Error('Invalid SVG string');
     }
     
-    // Parse the SVG string using txml
-    const parsedNodes = txml.parse(svgString);
+    // Parse the SVG string, keeping comments and the XML declaration for writing it back
+    const svgNode = parseSvgDocument(svgString);
+
+    // Report how well the document conforms to the spec, but load it regardless
+    const { errors, warnings } = validateNoteSvg(svgNode);
+    for (const issue of errors) console.warn(`note.svg error at ${issue.path}: ${issue.message}`);
+    for (const issue of warnings) console.info(`note.svg warning at ${issue.path}: ${issue.message}`);
     
-    // The first node should be the SVG element
-    if (parsedNodes && parsedNodes.length > 0) {
-        const svgNode = parsedNodes[0];
-        
-        // Apply transform to add noteSvgAttributes
-        transform(svgNode);
-        
-        return svgNode;
-    }
+    // Turn drawings made elsewhere into editable strokes
+    const converted = importSvgDrawing(svgNode);
+    if (converted > 0) console.info(`Imported ${converted} SVG elements as note.svg paths`);
+
+    // Apply transform to add noteSvgAttributes
+    transform(svgNode);
+
+    // Strip anything that could run script or load content before it reaches our exports
+    const removed = sanitizeSvg(/** @type {import("./notesvg.js").SvgNode} */ (svgNode), strict, window.location.pathname);
+    for (const issue of removed) console.warn(`Sanitized ${issue.path}: ${issue.message}`);
+
+    // Upgrade documents from older versions of the spec
+    const { steps } = migrateDocument(/** @type {import("./notesvg.js").SvgNode} */ (svgNode));
+    if (steps.length > 0) console.info(`Migrated note.svg document: ${steps.join(', ')}`);
     
-    throw new Error('Failed to parse SVG');
+    return svgNode;
 }
 
-// Create a note document with SVG structure - load from localStorage or use default
-let noteDocument = loadFromLocalStorage(deserializeDocument, createDefaultDocument);
+// Start with an empty document until the last note is loaded from the library
+const noteDocument = createDefaultDocument();
 const renderer = new StrokeRenderer(noteDocument);
 
 // Initialize the application when the DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     // Set up button event listeners
-    setupButtonHandlers(noteDocument, renderer, deserializeDocument);
+    setupButtonHandlers(noteDocument, renderer, deserializeDocument, createDefaultDocument);
     
     // Set up canvas and event listeners
     setupCanvas(noteDocument, renderer);
+
+    // Keep the open note in step with other tabs
+    setupTabSync(noteDocument, renderer, deserializeDocument);
+
+    // Open the note that was open last
+    loadLibrary(noteDocument, renderer, deserializeDocument);
     
-    // Save document to localStorage when the page is about to unload
-    window.addEventListener('beforeunload', () => {
-        saveToLocalStorage(noteDocument, serializeDocument);
-    });
+    // Save the note after changes and whenever the page is hidden or closed
+    setupAutosave(noteDocument, renderer);
 });
@@ -0,0 +1,448 @@
+/**
+ * Note library for the note.svg application
+ *
+ * This module keeps the user's notes in IndexedDB, so that starting a new
+ * note doesn't replace the last one. Notes are stored as serialized SVG with
+ * a title, a PNG thumbnail and timestamps. Documents saved by earlier versions
+ * under a single localStorage key are moved into the library once.
+ */
+
+/**
+ * A stored note
+ * @typedef {Object} NoteRecord
+ * @property {string} id - The note's unique ID
+ * @property {string} title - The note's title
+ * @property {string} svg - The note as serialized SVG
+ * @property {string} thumbnail - A PNG data URL of the note, or "" if there is none
+ * @property {number} created - When the note was created, in milliseconds since the epoch
+ * @property {number} modified - When the note was last changed, in milliseconds since the epoch
+ * @property {number} [exported] - When the note was last saved as a file or copied, if ever
+ * @property {string} [exportedSvg] - The note's SVG when it was last saved as a file or copied
+ * @property {number} [recoveryOffered] - The exported time of the last export the user was offered to go back to
+ */
+
+/**
+ * A stored note without its content, for listing
+ * @typedef {Omit<NoteRecord, "svg" | "exportedSvg">} NoteSummary
+ */
+
+/**
+ * A copy of the open note written synchronously when the page is hidden
+ * @typedef {Object} NoteBackup
+ * @property {string} id - The note's ID
+ * @property {string} svg - The note as serialized SVG
+ * @property {number} time - When the copy was written, in milliseconds since the epoch
+ */
+
+/**
+ * Name of the IndexedDB database
+ * @type {string}
+ */
+const LIBRARY_DATABASE_NAME = 'notesvg';
+
+/**
+ * Version of the database schema
+ * @type {number}
+ */
+const LIBRARY_DATABASE_VERSION = 1;
+
+/**
+ * Name of the object store holding notes
+ * @type {string}
+ */
+const NOTES_STORE = 'notes';
+
+/**
+ * localStorage key earlier versions kept the only document under
+ * @type {string}
+ */
+const LEGACY_STORAGE_KEY = 'notesvg-document';
+
+/**
+ * localStorage key for the ID of the note that was open last
+ * @type {string}
+ */
+const LAST_OPENED_STORAGE_KEY = 'notesvg-last-opened';
+
+/**
+ * localStorage key for the backup of the open note
+ * @type {string}
+ */
+const BACKUP_STORAGE_KEY = 'notesvg-backup';
+
+/**
+ * Title given to notes that aren't named yet
+ * @type {string}
+ */
+export const UNTITLED_NOTE_TITLE = 'Untitled note';
+
+/**
+ * Waits for an IndexedDB request to finish
+ * @template T
+ * @param {IDBRequest<T>} request - The request
+ * @returns {Promise<T>} - The request's result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Waits for an IndexedDB transaction to commit
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>} - Resolves once everything in the transaction is stored
+ */
+function transactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('The transaction was aborted'));
+    });
+}
+
+/**
+ * Creates a unique note ID
+ * @returns {string} - The ID
+ */
+function createNoteId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+/**
+ * Removes a note's content, leaving what is shown in the library list
+ * @param {NoteRecord} record - The note
+ * @returns {NoteSummary} - The note without its SVG
+ */
+function toSummary(record) {
+    const { svg, exportedSvg, ...summary } = record;
+    return summary;
+}
+
+/**
+ * A library of notes stored in IndexedDB
+ */
+export class NoteLibrary {
+    /**
+     * Creates a new NoteLibrary instance
+     * Use NoteLibrary.open() to open the database first.
+     * @param {IDBDatabase} database - The open database
+     */
+    constructor(database) {
+        this.database = database;
+    }
+
+    /**
+     * Opens the library, creating the database if needed
+     * @param {string} [name] - The database name
+     * @returns {Promise<NoteLibrary>} - The open library
+     * @throws {Error} - If IndexedDB isn't available
+     */
+    static async open(name = LIBRARY_DATABASE_NAME) {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        const request = indexedDB.open(name, LIBRARY_DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(NOTES_STORE, { keyPath: 'id' });
+            store.createIndex('modified', 'modified');
+        };
+
+        return new NoteLibrary(await requestToPromise(request));
+    }
+
+    /**
+     * Runs a request against the notes store
+     * @template T
+     * @param {IDBTransactionMode} mode - The transaction mode
+     * @param {function(IDBObjectStore): IDBRequest<T>} makeRequest - Makes the request
+     * @returns {Promise<T>} - The request's result
+     */
+    request(mode, makeRequest) {
+        const transaction = this.database.transaction(NOTES_STORE, mode);
+        return requestToPromise(makeRequest(transaction.objectStore(NOTES_STORE)));
+    }
+
+    /**
+     * Lists the notes, most recently modified first
+     * @param {string} [query=""] - Only list notes whose title contains this, ignoring case
+     * @returns {Promise<Array<NoteSummary>>} - The notes
+     */
+    async list(query = '') {
+        const records = await this.request('readonly', (store) => store.index('modified').getAll());
+        const search = query.trim().toLowerCase();
+
+        return records
+            .filter((record) => record.title.toLowerCase().indexOf(search) >= 0)
+            .reverse()
+            .map(toSummary);
+    }
+
+    /**
+     * Gets a note
+     * @param {string} id - The note's ID
+     * @returns {Promise<NoteRecord|null>} - The note, or null if it doesn't exist
+     */
+    async get(id) {
+        return (await this.request('readonly', (store) => store.get(id))) || null;
+    }
+
+    /**
+     * Creates a note
+     * @param {string} svg - The note as serialized SVG
+     * @param {string} [title] - The note's title
+     * @param {string} [thumbnail=""] - A PNG data URL of the note
+     * @returns {Promise<NoteRecord>} - The new note
+     */
+    async create(svg, title = UNTITLED_NOTE_TITLE, thumbnail = '') {
+        const now = Date.now();
+        /** @type {NoteRecord} */
+        const record = { id: createNoteId(), title, svg, thumbnail, created: now, modified: now };
+
+        await this.request('readwrite', (store) => store.add(record));
+        return record;
+    }
+
+    /**
+     * Applies changes to a note
+     * @param {string} id - The note's ID
+     * @param {Partial<NoteRecord>} changes - The fields to change
+     * @param {boolean} touch - Whether to update the modified time
+     * @returns {Promise<NoteRecord>} - The changed note
+     * @throws {Error} - If the note doesn't exist
+     */
+    async update(id, changes, touch) {
+        // Read and write in one transaction, so that no other change to the note is lost in between
+        const transaction = this.database.transaction(NOTES_STORE, 'readwrite');
+        const store = transaction.objectStore(NOTES_STORE);
+        const committed = transactionToPromise(transaction);
+
+        /** @type {NoteRecord|undefined} */
+        let record;
+        const request = store.get(id);
+        request.onsuccess = () => {
+            record = request.result;
+            if (!record) {
+                transaction.abort();
+                return;
+            }
+
+            Object.assign(record, changes, { id });
+            if (touch) record.modified = Date.now();
+            store.put(record);
+        };
+
+        try {
+            await committed;
+        } catch (error) {
+            throw record ? error : new Error(`Note ${id} doesn't exist`);
+        }
+        return record;
+    }
+
+    /**
+     * Saves a note's content
+     * @param {string} id - The note's ID
+     * @param {string} svg - The note as serialized SVG
+     * @param {string} [thumbnail] - A PNG data URL of the note, if it changed
+     * @returns {Promise<NoteRecord>} - The saved note
+     */
+    save(id, svg, thumbnail) {
+        return this.update(id, thumbnail === undefined ? { svg } : { svg, thumbnail }, true);
+    }
+
+    /**
+     * Renames a note
+     * Renaming doesn't count as modifying the note, so it doesn't reorder the list.
+     * @param {string} id - The note's ID
+     * @param {string} title - The new title
+     * @returns {Promise<NoteRecord>} - The renamed note
+     */
+    rename(id, title) {
+        return this.update(id, { title: title.trim() || UNTITLED_NOTE_TITLE }, false);
+    }
+
+    /**
+     * Copies a note
+     * @param {string} id - The note's ID
+     * @returns {Promise<NoteRecord>} - The copy
+     * @throws {Error} - If the note doesn't exist
+     */
+    async duplicate(id) {
+        const record = await this.get(id);
+        if (!record) throw new Error(`Note ${id} doesn't exist`);
+
+        return this.create(record.svg, `${record.title} (copy)`, record.thumbnail);
+    }
+
+    /**
+     * Deletes a note
+     * @param {string} id - The note's ID
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        await this.request('readwrite', (store) => store.delete(id));
+        if (this.lastOpenedId === id) this.lastOpenedId = null;
+    }
+
+    /**
+     * Records that a note was saved as a file or copied
+     * @param {string} id - The note's ID
+     * @param {string} svg - The note as serialized SVG, as stored in the library
+     * @returns {Promise<NoteRecord>} - The note
+     */
+    markExported(id, svg) {
+        return this.update(id, { exported: Date.now(), exportedSvg: svg }, false);
+    }
+
+    /**
+     * Checks if a note changed since it was last saved as a file or copied
+     * Notes that were never exported have nothing to go back to, so they don't count.
+     * @param {NoteRecord} record - The note
+     * @returns {boolean} - True if the stored copy is newer than the last export
+     */
+    hasUnexportedChanges(record) {
+        return Boolean(record.exportedSvg) && record.modified > record.exported;
+    }
+
+    /**
+     * Checks if the user should be offered to go back to a note's last export
+     * They are asked once per export, so choosing to keep the changes isn't
+     * asked again until the note is saved as a file or copied again.
+     * @param {NoteRecord} record - The note
+     * @returns {boolean} - True if the note has unexported changes the user wasn't asked about
+     */
+    shouldOfferRecovery(record) {
+        return this.hasUnexportedChanges(record) && record.recoveryOffered !== record.exported;
+    }
+
+    /**
+     * Records that the user chose to keep a note's changes since its last export
+     * @param {NoteRecord} record - The note
+     * @returns {Promise<NoteRecord>} - The note
+     */
+    keepUnexportedChanges(record) {
+        return this.update(record.id, { recoveryOffered: record.exported }, false);
+    }
+
+    /**
+     * Puts a note back the way it was when it was last saved as a file or copied
+     * The newer version is kept as a note of its own, so going back loses nothing.
+     * @param {string} id - The note's ID
+     * @returns {Promise<{reverted: NoteRecord, newer: NoteRecord}>} - The reverted note and
+     *  the copy of its newer version
+     * @throws {Error} - If the note doesn't exist or was never exported
+     */
+    async revertToExported(id) {
+        const record = await this.get(id);
+        if (!record?.exportedSvg) throw new Error(`Note ${id} was never saved or copied`);
+
+        const newer = await this.create(record.svg, `${record.title} (unsaved changes)`, record.thumbnail);
+        const reverted = await this.update(id, { svg: record.exportedSvg, modified: record.exported }, false);
+        return { reverted, newer };
+    }
+
+    /**
+     * Writes a backup of a note to localStorage
+     * IndexedDB writes are asynchronous and can be cut off when a hidden tab is
+     * killed, so this is used alongside save() when the page is hidden.
+     * @param {string} id - The note's ID
+     * @param {string} svg - The note as serialized SVG
+     */
+    writeBackup(id, svg) {
+        try {
+            /** @type {NoteBackup} */
+            const backup = { id, svg, time: Date.now() };
+            localStorage.setItem(BACKUP_STORAGE_KEY, JSON.stringify(backup));
+        } catch (error) {
+            console.error('Failed to back up the note to localStorage:', error);
+        }
+    }
+
+    /**
+     * Removes the backup once the library has caught up with it
+     * @param {string} svg - The SVG that was stored; newer backups are kept
+     */
+    clearBackup(svg) {
+        try {
+            const backup = JSON.parse(localStorage.getItem(BACKUP_STORAGE_KEY) || 'null');
+            if (backup?.svg === svg) localStorage.removeItem(BACKUP_STORAGE_KEY);
+        } catch (error) {
+            console.error('Failed to clear the note backup from localStorage:', error);
+        }
+    }
+
+    /**
+     * Stores a backup left behind by a tab that was closed before the library caught up
+     * @returns {Promise<NoteRecord|null>} - The restored note, or null if there was nothing to restore
+     */
+    async restoreBackup() {
+        /** @type {NoteBackup|null} */
+        let backup;
+        try {
+            backup = JSON.parse(localStorage.getItem(BACKUP_STORAGE_KEY) || 'null');
+        } catch (error) {
+            console.error('Failed to read the note backup from localStorage:', error);
+            return null;
+        }
+        if (!backup?.id || typeof backup.svg !== 'string') return null;
+
+        const record = await this.get(backup.id);
+        let restored = null;
+        if (record && backup.time > record.modified && backup.svg !== record.svg) {
+            restored = await this.update(backup.id, { svg: backup.svg, modified: backup.time }, false);
+            console.log(`Restored unsaved changes to "${record.title}"`);
+        }
+
+        localStorage.removeItem(BACKUP_STORAGE_KEY);
+        return restored;
+    }
+
+    /**
+     * Moves the document earlier versions kept in localStorage into the library
+     * The localStorage copy is removed once it is stored, so this only happens once.
+     * @returns {Promise<NoteRecord|null>} - The migrated note, or null if there was none
+     */
+    async migrateFromLocalStorage() {
+        let svg;
+        try {
+            svg = localStorage.getItem(LEGACY_STORAGE_KEY);
+        } catch (error) {
+            console.error('Failed to read the legacy document from localStorage:', error);
+            return null;
+        }
+        if (!svg) return null;
+
+        const record = await this.create(svg);
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        this.lastOpenedId ??= record.id;
+
+        console.log('Moved the document from localStorage into the library');
+        return record;
+    }
+
+    /**
+     * The ID of the note that was open last, remembered between sessions
+     * @type {string|null}
+     */
+    get lastOpenedId() {
+        try {
+            return localStorage.getItem(LAST_OPENED_STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    set lastOpenedId(id) {
+        try {
+            if (id) localStorage.setItem(LAST_OPENED_STORAGE_KEY, id);
+            else localStorage.removeItem(LAST_OPENED_STORAGE_KEY);
+        } catch (error) {
+            console.error('Failed to remember the open note in localStorage:', error);
+        }
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Document migrations for the note.svg application
+ *
+ * This module upgrades documents written against older versions of the
+ * note.svg spec to the version this editor writes. Migrations are registered
+ * by the version they upgrade from and run one after another on transformed
+ * trees, so a format change only needs to register a single new step.
+ */
+
+import { NOTESVG_VERSION, compareVersions } from "./notesvg.js";
+
+/**
+ * @typedef {import("./notesvg.js").SvgNode} SvgNode
+ */
+
+/**
+ * A step that upgrades a document from one spec version to the next
+ * @typedef {Object} Migration
+ * @property {string} to - The version of the document after the step
+ * @property {function(SvgNode): void} migrate - Upgrades the document in place
+ */
+
+/**
+ * The outcome of migrating a document
+ * @typedef {Object} MigrationResult
+ * @property {string} from - The version the document declared
+ * @property {string} to - The version of the document after migrating
+ * @property {Array<string>} steps - The migrations applied, as "from -> to"
+ */
+
+/**
+ * Version assumed for documents without a <notesvg> element
+ * @type {string}
+ */
+const UNVERSIONED_NOTESVG_VERSION = "1.0";
+
+/**
+ * Registered migrations, keyed by the version they upgrade from
+ * @type {Map<string, Migration>}
+ */
+const MIGRATIONS = new Map();
+
+/**
+ * Thrown when a document needs a newer editor to be read safely
+ */
+export class UnsupportedVersionError extends Error {
+    /**
+     * Creates a new UnsupportedVersionError instance
+     * @param {string} version - The version the document declares
+     */
+    constructor(version) {
+        super(`note.svg version ${version} is newer than the supported version ${NOTESVG_VERSION}`);
+        this.name = 'UnsupportedVersionError';
+        this.version = version;
+    }
+}
+
+/**
+ * Registers a migration from one spec version to a later one
+ * @param {string} from - The version to upgrade from
+ * @param {string} to - The version to upgrade to
+ * @param {function(SvgNode): void} migrate - Upgrades the document in place
+ */
+export function registerMigration(from, to, migrate) {
+    if (compareVersions(to, from) <= 0) {
+        throw new Error(`Migration from ${from} must upgrade to a later version, not ${to}`);
+    }
+    MIGRATIONS.set(from, { to, migrate });
+}
+
+/**
+ * Finds a document's <notesvg> element
+ * @param {SvgNode | string} node - The node to search
+ * @returns {SvgNode|null} - The <notesvg> element, if any
+ */
+function findNoteSvgElement(node) {
+    if (typeof node === 'string') return null;
+    if (node.tagName === 'notesvg') return node;
+
+    for (const child of node.children || []) {
+        const found = findNoteSvgElement(child);
+        if (found) return found;
+    }
+
+    return null;
+}
+
+/**
+ * Gets the spec version a document declares
+ * @param {SvgNode} root - The document's root node
+ * @returns {string|null} - The declared version, or null if there is none
+ */
+export function getDocumentVersion(root) {
+    const version = findNoteSvgElement(root)?.noteSvgAttributes?.version;
+    return version ? String(version).trim() : null;
+}
+
+/**
+ * Sets the spec version a document declares, adding metadata if it has none
+ * @param {SvgNode} root - The document's root node
+ * @param {string} version - The version to declare
+ */
+function setDocumentVersion(root, version) {
+    const notesvg = findNoteSvgElement(root);
+    if (notesvg) {
+        notesvg.noteSvgAttributes ||= {};
+        notesvg.noteSvgAttributes.version = version;
+        return;
+    }
+
+    root.children ||= [];
+    root.children.unshift({
+        tagName: 'metadata',
+        attributes: {},
+        noteSvgAttributes: {},
+        children: [{ tagName: 'notesvg', attributes: {}, noteSvgAttributes: { version }, children: [] }]
+    });
+}
+
+/**
+ * Upgrades a transformed document in place to the current spec version
+ * Documents from a newer minor version are loaded as they are with a warning,
+ * since minor versions only add features. Documents from a newer major version
+ * are refused.
+ * @param {SvgNode} root - The document's root node
+ * @returns {MigrationResult} - What was done to the document
+ * @throws {UnsupportedVersionError} - If the document is from a newer major version
+ */
+export function migrateDocument(root) {
+    const from = getDocumentVersion(root) || UNVERSIONED_NOTESVG_VERSION;
+    /** @type {MigrationResult} */
+    const result = { from, to: from, steps: [] };
+
+    if (compareVersions(from, NOTESVG_VERSION) > 0) {
+        if (parseInt(from) > parseInt(NOTESVG_VERSION)) throw new UnsupportedVersionError(from);
+
+        console.warn(`note.svg version ${from} is newer than the supported version ${NOTESVG_VERSION};`
+            + ' features from the newer version may be lost');
+        return result;
+    }
+
+    while (compareVersions(result.to, NOTESVG_VERSION) < 0) {
+        const migration = MIGRATIONS.get(result.to);
+        if (!migration) {
+            console.warn(`No migration from note.svg version ${result.to}; loading it as is`);
+            return result;
+        }
+
+        migration.migrate(root);
+        result.steps.push(`${result.to} -> ${migration.to}`);
+        result.to = migration.to;
+    }
+
+    setDocumentVersion(root, result.to);
+    return result;
+}
+
+// The spec's example document declared 0.1 before 1.0 was settled; the format
+// itself didn't change
+registerMigration("0.1", "1.0", () => {});
+
+// 1.1 only added features, so 1.0 documents are valid 1.1 documents
+registerMigration("1.0", "1.1", () => {});
@@ -6,6 +6,22 @@
  * representation and the SVG format.
  */
 
+import { flattenPathData, getCurveSteps, interpolateNodeValue, parsePathData } from "./path-data.js";
+import * as txml from "./txml.js";
+import { roundNumber } from "./utils.js";
+
+/**
+ * The note.svg spec version written by this editor
+ * @type {string}
+ */
+export const NOTESVG_VERSION = "1.1";
+
+/**
+ * The note.svg spec version of the strict subset with only M and L path commands
+ * @type {string}
+ */
+export const STRICT_NOTESVG_VERSION = "1.0";
+
 /**
  * SVG root node
  * @typedef {Object} NodeSvg
@@ -35,24 +51,421 @@
  * @property {Object} noteSvgAttributes - Note.svg specific attributes
  * @property {string} noteSvgAttributes.stroke - Stroke color
  * @property {number} noteSvgAttributes.strokeWidth - Stroke width
+ * @property {number} [noteSvgAttributes.strokeOpacity] - Stroke opacity between 0 and 1
+ * @property {Array<number>} [noteSvgAttributes.widths] - Per-node stroke widths for pressure-sensitive strokes
  * @property {Array<SvgNode|string>} children - Child nodes
  */
 
+/**
+ * Colors treated as the default ink, which follows the color scheme
+ * @type {Array<string>}
+ */
+const DEFAULT_INK_COLORS = ['#000', '#000000', 'black'];
+
+/**
+ * Attributes of the text in the "Edit" link added to exports, except its
+ * fill, which follows the color scheme
+ * @type {Record<string, string>}
+ */
+const EDIT_LINK_TEXT_ATTRIBUTES = {
+    x: "100%",
+    y: "100%",
+    dx: "-5",
+    dy: "-5",
+    "text-anchor": "end",
+    "dominant-baseline": "text-after-edge",
+    "font-family": "sans-serif",
+    "font-size": "12px",
+    "font-weight": "bold",
+    "text-decoration": "underline",
+};
+
+/**
+ * Matches the fill of the "Edit" link's text
+ * @type {RegExp}
+ */
+const EDIT_LINK_FILL_PATTERN = /^#([0-9a-f]{3}){1,2}$/i;
+
+/**
+ * Characters of the predefined XML entities
+ * @type {Record<string, string>}
+ */
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Matches attribute text that can't be written back as it was: angle
+ * brackets, which could end the tag somewhere else, and ampersands that
+ * don't start a reference
+ * @type {RegExp}
+ */
+const UNWRITABLE_SOURCE_PATTERN = /[<>]|&(?!(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);)/;
+
+/**
+ * Matches text that can't be written back as it was: markup, and
+ * ampersands that don't start a reference
+ * @type {RegExp}
+ */
+const UNWRITABLE_TEXT_PATTERN = /<|&(?!(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);)/;
+
+/**
+ * Matches comment content that would end the comment early, in XML or
+ * when the SVG is inlined in HTML
+ * @type {RegExp}
+ */
+const UNSAFE_COMMENT_PATTERN = /^-?>|--!?>/;
+
+/**
+ * Tag name of comment nodes
+ * txml gives comments and doctypes as text. They are told apart from text
+ * while parsing and kept as nodes, whose names no element can have, so
+ * that text is never mistaken for markup.
+ * @type {string}
+ */
+const COMMENT_TAG_NAME = '!--';
+
+/**
+ * Tag name of doctype nodes
+ * @type {string}
+ */
+const DOCTYPE_TAG_NAME = '!';
+
 /**
  * A note.svg node
+ * attributeOrder records the order of the attributes as parsed, including the
+ * ones moved into noteSvgAttributes, so that they are written back in place.
+ * On the root node, prolog and epilog hold what came before and after the
+ * <svg> element, such as the XML declaration, a doctype and comments.
+ * Parsed nodes also remember how they were written in source. Comments and
+ * doctypes are nodes too, with their text in content.
  * @typedef { import("./txml.js").tNode & { 
  *  noteSvgAttributes?: Record<string, any>, 
+ *  content?: string, 
+ *  attributeOrder?: Array<string>,
+ *  prolog?: Array<SvgNode | string>,
+ *  epilog?: Array<SvgNode | string>,
+ *  source?: NodeSource,
  *  children: Array<SvgNode | string> 
  * } } SvgNode
  */
 
+/**
+ * How a parsed element was written, so that it can be written back the same way
+ * The attribute text is only reused while the attributes still serialize to
+ * key, so anything changed after parsing is written out normally.
+ * @typedef {Object} NodeSource
+ * @property {boolean} selfClosing - Whether the element was written as self-closing
+ * @property {string} [attributes] - The opening tag's attribute text, exactly as written
+ * @property {string} [key] - The attributes as serialized when the node was transformed, if the
+ *  text still stood for them
+ * @property {Array<string>} [whitespace] - The whitespace before each child and before the closing tag
+ * @property {Array<string|null>} [text] - The text children as written, by child index
+ */
+
+/**
+ * Markup that txml gives as a string child
+ * @typedef {Object} ScannedDeclaration
+ * @property {"comment"|"cdata"|"doctype"} kind - What the markup is
+ * @property {string} text - The string txml gives for it
+ */
+
+/**
+ * What an SVG string's markup looks like, in document order
+ * @typedef {Object} ScannedMarkup
+ * @property {Array<{tagName: string, attributes: string, selfClosing: boolean}>} tags - The opening tags
+ * @property {Array<ScannedDeclaration>} declarations - The comments, CDATA sections and doctypes
+ */
+
+/**
+ * Checks if a stroke color is the default ink color
+ * Default ink is drawn in the theme's primary color rather than literally.
+ * @param {string} color - The stroke color to check
+ * @returns {boolean} - True if the color is the default ink color
+ */
+export function isDefaultInk(color) {
+    return !color || DEFAULT_INK_COLORS.indexOf(color.trim().toLowerCase()) >= 0;
+}
+
+/**
+ * Compares two "major.minor" version strings
+ * @param {string} a - The first version
+ * @param {string} b - The second version
+ * @returns {number} - Negative if a is older, positive if a is newer, 0 if equal
+ */
+export function compareVersions(a, b) {
+    const [aMajor, aMinor] = a.split('.').map(Number);
+    const [bMajor, bMinor] = b.split('.').map(Number);
+    return (aMajor - bMajor) || (aMinor - bMinor);
+}
+
+/**
+ * Creates the "Edit" link added to exported SVGs
+ * @param {string} href - Where the editor is, i.e. its page's path
+ * @returns {SvgNode} - The link
+ */
+export function createEditLink(href) {
+    return {
+        tagName: 'a',
+        attributes: { href, target: "_blank" },
+        children: [{
+            tagName: 'text',
+            attributes: { ...EDIT_LINK_TEXT_ATTRIBUTES, fill: "#000" },
+            children: ["Edit"]
+        }]
+    };
+}
+
+/**
+ * Checks if a node is the "Edit" link this editor adds to its exports
+ * The link has to match what createEditLink makes exactly, apart from the
+ * color of its text.
+ * @param {SvgNode | string} node - The node
+ * @param {string} href - Where the editor is, i.e. its page's path
+ * @returns {boolean} - True if the node is the editor's link
+ */
+export function isEditLink(node, href) {
+    if (typeof node === 'string' || node.tagName !== 'a' || node.children?.length !== 1) return false;
+    const { href: linkHref, target, ...otherAttributes } = node.attributes;
+    if (linkHref !== href || target !== "_blank" || Object.keys(otherAttributes).length > 0) return false;
+
+    const [text] = node.children;
+    if (typeof text === 'string' || text.tagName !== 'text' || text.children?.length !== 1 || text.children[0] !== "Edit") {
+        return false;
+    }
+    const { fill, ...textAttributes } = text.attributes;
+    const names = Object.keys(textAttributes);
+    return typeof fill === 'string' && EDIT_LINK_FILL_PATTERN.test(fill)
+        && names.length === Object.keys(EDIT_LINK_TEXT_ATTRIBUTES).length
+        && names.every((name) => textAttributes[name] === EDIT_LINK_TEXT_ATTRIBUTES[name]);
+}
+
+/**
+ * Checks if a node is a comment or doctype rather than an element
+ * @param {SvgNode | string} node - The node
+ * @returns {boolean} - True if the node is a comment or doctype
+ */
+export function isDeclaration(node) {
+    return typeof node !== 'string' && node.tagName[0] === '!';
+}
+
+/**
+ * Checks if a node is a comment
+ * @param {SvgNode | string} node - The node
+ * @returns {boolean} - True if the node is a comment
+ */
+export function isComment(node) {
+    return typeof node !== 'string' && node.tagName === COMMENT_TAG_NAME;
+}
+
+/**
+ * Scans the markup of an SVG string, in document order
+ * Walks the markup the way txml does, so the tags line up with the parsed
+ * elements and processing instructions in a depth-first walk, and the
+ * declarations with the strings txml gives for them.
+ * @param {string} svgString - The SVG string
+ * @returns {ScannedMarkup} - The opening tags and declarations
+ */
+function scanMarkup(svgString) {
+    const tags = [];
+    /** @type {Array<ScannedDeclaration>} */
+    const declarations = [];
+    const namePattern = /[^\r\n\t>/= ]*/y;
+    let pos = 0;
+    while ((pos = svgString.indexOf('<', pos)) >= 0) {
+        if (svgString.startsWith('<!-', pos)) {
+            const end = svgString.indexOf('-->', pos);
+            declarations.push({ kind: 'comment', text: svgString.slice(pos, end < 0 ? svgString.length : end + 3) });
+            pos = end < 0 ? svgString.length : end + 2;
+        } else if (svgString.substr(pos, 9).toLowerCase() === '<![cdata[') {
+            const end = svgString.indexOf(']]>', pos);
+            declarations.push({ kind: 'cdata', text: svgString.slice(pos + 9, end < 0 ? svgString.length : end) });
+            pos = end < 0 ? svgString.length : end + 2;
+        } else if (svgString[pos + 1] === '!') {
+            // Doctypes can have an internal subset in square brackets
+            const start = pos + 1;
+            let bracketed = false;
+            for (pos += 2; pos < svgString.length && (bracketed || svgString[pos] !== '>'); pos++) {
+                if (svgString[pos] === '[') bracketed = true;
+                else if (svgString[pos] === ']') bracketed = false;
+            }
+            declarations.push({ kind: 'doctype', text: svgString.slice(start, pos) });
+        } else if (svgString[pos + 1] === '/') {
+            pos = svgString.indexOf('>', pos);
+            if (pos < 0) break;
+        } else {
+            namePattern.lastIndex = pos + 1;
+            const tagName = namePattern.exec(svgString)[0];
+            const start = namePattern.lastIndex;
+            let quote = null;
+            for (pos = start; pos < svgString.length && (quote || svgString[pos] !== '>'); pos++) {
+                const char = svgString[pos];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                }
+            }
+
+            const selfClosing = svgString[pos - 1] === '/';
+            const end = (selfClosing || (tagName[0] === '?' && svgString[pos - 1] === '?')) ? pos - 1 : pos;
+            tags.push({ tagName, attributes: svgString.slice(start, Math.max(start, end)), selfClosing });
+
+            // Like txml, take the content of scripts and styles as text
+            if (!selfClosing && (tagName === 'script' || tagName === 'style')) {
+                const close = svgString.indexOf(`</${tagName}>`, pos);
+                pos = close < 0 ? svgString.length : close;
+            }
+        }
+        pos++;
+    }
+    return { tags, declarations };
+}
+
+/**
+ * Checks if attribute text parses to the same attributes txml found
+ * Text with angle brackets is never reused, so that it can't end the tag
+ * somewhere else than where txml did.
+ * @param {string} text - The attribute text
+ * @param {Record<string, any>} attributes - The parsed attributes
+ * @returns {boolean} - True if the text can be written back in their place
+ */
+function matchesAttributes(text, attributes) {
+    if (UNWRITABLE_SOURCE_PATTERN.test(text)) return false;
+    const [parsed] = txml.parse(`<x${text}/>`);
+    return typeof parsed !== 'string' && JSON.stringify(parsed.attributes) === JSON.stringify(attributes);
+}
+
+/**
+ * Finds which declaration a parsed string is
+ * Strings only count as the next scanned declaration if txml gave exactly
+ * its text, so text that merely reads like a comment stays text.
+ * @param {string} text - The parsed string
+ * @param {Array<ScannedDeclaration>} declarations - The declarations not found yet, in document order
+ * @returns {ScannedDeclaration|null} - The declaration, or null if the string is text
+ */
+function takeDeclaration(text, declarations) {
+    return declarations.length > 0 && declarations[0].text === text ? declarations.shift() : null;
+}
+
+/**
+ * Creates the node for a comment or doctype
+ * @param {ScannedDeclaration} declaration - The comment or doctype
+ * @returns {SvgNode} - The node
+ */
+function createDeclarationNode({ kind, text }) {
+    if (kind === 'doctype') return { tagName: DOCTYPE_TAG_NAME, attributes: {}, children: [], content: text.slice(1) };
+
+    // txml also ends comments opened with a single dash, and unterminated ones at the end of the string
+    const start = text.startsWith('<!--') ? 4 : 3;
+    const end = text.endsWith('-->') ? Math.max(start, text.length - 3) : text.length;
+    return { tagName: COMMENT_TAG_NAME, attributes: {}, children: [], content: text.slice(start, end) };
+}
+
+/**
+ * Records how each parsed element was written
+ * Comments and doctypes are turned into nodes. Whitespace-only text between
+ * children is moved into the source, so the rest of the editor sees the
+ * same children as without it.
+ * @param {Array<import("./txml.js").tNode | string>} nodes - The parsed nodes
+ * @param {ScannedMarkup} markup - The markup not matched to nodes yet, with no tags if they
+ *  don't line up with the nodes
+ * @returns {Array<SvgNode | string>} - The nodes, with comments and doctypes as nodes
+ */
+function recordSource(nodes, markup) {
+    return nodes.map((node) => {
+        if (typeof node === 'string') {
+            const declaration = takeDeclaration(node, markup.declarations);
+            return (declaration && declaration.kind !== 'cdata') ? createDeclarationNode(declaration) : node;
+        }
+
+        const tag = markup.tags.shift();
+        /** @type {NodeSource} */
+        const source = { selfClosing: tag ? tag.selfClosing : node.children.length === 0 };
+        if (tag) source.attributes = tag.attributes;
+
+        const whitespace = [''];
+        const children = [];
+        const text = [];
+        for (const child of node.children) {
+            if (typeof child !== 'string') {
+                children.push(...recordSource([child], markup));
+                text.push(null);
+                whitespace.push('');
+                continue;
+            }
+
+            const declaration = takeDeclaration(child, markup.declarations);
+            if (declaration && declaration.kind !== 'cdata') {
+                children.push(createDeclarationNode(declaration));
+                text.push(null);
+            } else if (child.trim() === '') {
+                whitespace[whitespace.length - 1] += child;
+                continue;
+            } else {
+                // CDATA sections are written as escaped text
+                children.push(child);
+                text.push((declaration || UNWRITABLE_TEXT_PATTERN.test(child)) ? null : child);
+            }
+            whitespace.push('');
+        }
+        if (whitespace.some((gap) => gap !== '')) source.whitespace = whitespace;
+        if (children.some((child) => typeof child === 'string')) source.text = text;
+
+        node.children = children;
+        /** @type {SvgNode} */ (node).source = source;
+        return node;
+    });
+}
+
+/**
+ * Parses an SVG string, keeping everything needed to write it back unchanged
+ * Comments are kept as comment nodes, and whatever surrounds the <svg>
+ * element is kept in the root's prolog and epilog, whitespace included.
+ * @param {string} svgString - The SVG string to parse
+ * @returns {import("./txml.js").tNode & {prolog: Array<SvgNode | string>, epilog: Array<SvgNode | string>}}
+ *  - The <svg> element, not yet transformed
+ * @throws {Error} - If there is no <svg> element
+ */
+export function parseSvgDocument(svgString) {
+    const txmlNodes = txml.parse(svgString, { keepComments: true, keepWhitespace: true });
+    const markup = scanMarkup(svgString);
+    const names = [];
+    const collectNames = (nodes) => nodes.forEach((node) => {
+        if (typeof node === 'string') return;
+        names.push(node.tagName);
+        collectNames(node.children);
+    });
+    collectNames(txmlNodes);
+
+    // The attribute text is only kept if every tag lines up with its element
+    const { tags } = markup;
+    if (names.length !== tags.length || names.some((name, i) => tags[i].tagName !== name)) markup.tags = [];
+    const parsedNodes = recordSource(txmlNodes, markup);
+
+    const index = parsedNodes.findIndex((node) => typeof node !== 'string' && node.tagName === 'svg');
+    if (index < 0) throw new Error('Failed to parse SVG');
+
+    return Object.assign(/** @type {import("./txml.js").tNode} */ (parsedNodes[index]), {
+        prolog: parsedNodes.slice(0, index),
+        epilog: parsedNodes.slice(index + 1)
+    });
+}
+
 /**
  * In-place transforms a tree of XML nodes into SvgNodes
  * @param {import("./txml.js").tNode | string} node - The node to transform
  * @returns {SvgNode | string} - The transformed node
  */
 export function transform(node) {
-    if (typeof node === 'string') return node;
+    if (typeof node === 'string' || isDeclaration(node)) return node;
+
+    // The source text only stands for the attributes if nothing changed them since parsing
+    const { source } = /** @type {SvgNode} */ (node);
+    const sourceMatches = source?.attributes !== undefined && matchesAttributes(source.attributes, node.attributes);
+
+    (/** @type {SvgNode} */ (node)).attributeOrder = Object.keys(node.attributes);
+    for (const name in node.attributes) {
+        if (typeof node.attributes[name] === 'string') node.attributes[name] = decodeXml(node.attributes[name]);
+    }
 
     // Add noteSvgAttributes based on node type
     switch (node.tagName) {
@@ -81,27 +494,165 @@ export function transform(node) {
                 strokeWidth: parseFloat(node.attributes['stroke-width']) || 1
             };
 
+            if (node.attributes['stroke-opacity'] !== undefined) {
+                const opacity = parseFloat(node.attributes['stroke-opacity']);
+                if (!isNaN(opacity)) {
+                    (/** @type {SvgNode} */ (node)).noteSvgAttributes.strokeOpacity = Math.min(Math.max(opacity, 0), 1);
+                }
+            }
+
+            if (node.attributes['data-widths'] !== undefined) {
+                const widths = String(node.attributes['data-widths']).trim().split(/[\s,]+/).map(parseFloat);
+                if (widths.length > 0 && widths.every((width) => width >= 0)) {
+                    (/** @type {SvgNode} */ (node)).noteSvgAttributes.widths = widths;
+                }
+            }
+
             // Remove parsed attributes
             delete node.attributes.stroke;
             delete node.attributes['stroke-width'];
+            delete node.attributes['stroke-opacity'];
+            delete node.attributes['data-widths'];
             break;
     }
 
-    // Recursively transform children in-place
-    for (const child of node.children || []) {
-        transform(child);
+    // Remember what the attributes serialize to, to know when the source text can be reused
+    if (sourceMatches) source.key = formatAttributes(/** @type {SvgNode} */ (node), null, null);
+
+    // Recursively transform children in-place, decoding text
+    node.children ||= [];
+    node.children.forEach((child, i) => {
+        if (typeof child !== 'string') {
+            transform(child);
+        } else {
+            node.children[i] = decodeXml(child);
+        }
+    });
+
+    // The XML declaration and anything else around the root element
+    const { prolog = [], epilog = [] } = /** @type {SvgNode} */ (node);
+    for (const outside of [...prolog, ...epilog]) {
+        if (typeof outside !== 'string') transform(outside);
     }
 }
 
 /**
- * Converts a tree of SvgNodes to an SVG string
- * @param {SvgNode | string} node - The node to convert
- * @param {string | null} [overrideStroke=null] - The color to override the strokes with.
- * @param {string | null} [overrideBg=null] - The color to override the background color with.
- * @returns {string} - The SVG string representation
+ * Copies a tree of SvgNodes, down-converting it to the note.svg 1.0 subset
+ * Curves are replaced by short line segments and the version is set to 1.0,
+ * for consumers that only understand M and L path commands.
+ * @param {SvgNode | string} node - The root of the tree to convert
+ * @returns {SvgNode | string} - The converted copy
  */
-export function toSvg(node, overrideStroke=null, overrideBg=null) {
+export function toStrictNoteSvg(node) {
     if (typeof node === 'string') return node;
+
+    /** @type {SvgNode} */
+    const copy = {
+        tagName: node.tagName,
+        attributes: { ...node.attributes },
+        attributeOrder: node.attributeOrder,
+        noteSvgAttributes: node.noteSvgAttributes && { ...node.noteSvgAttributes },
+        children: (node.children || []).map(toStrictNoteSvg)
+    };
+    if (node.content !== undefined) copy.content = node.content;
+    if (node.source) copy.source = node.source;
+    if (node.prolog) copy.prolog = node.prolog;
+    if (node.epilog) copy.epilog = node.epilog;
+
+    switch (node.tagName) {
+        case 'notesvg':
+            copy.noteSvgAttributes.version = STRICT_NOTESVG_VERSION;
+            break;
+
+        case 'path': {
+            const commands = parsePathData(node.attributes.d);
+            if (commands.every((command) => command.type === 'M' || command.type === 'L')) break;
+
+            // Flatten curves finely enough that the segments aren't noticeable
+            const polylines = flattenPathData(commands, (curve) => getCurveSteps(curve, 2));
+            copy.attributes.d = polylines.map((polyline) => polyline
+                .map(([x, y], i) => `${i === 0 ? 'M' : 'L'} ${roundNumber(x)} ${roundNumber(y)}`)
+                .join(' ')).join(' ');
+
+            const widths = node.noteSvgAttributes?.widths;
+            if (widths?.length) {
+                copy.noteSvgAttributes.widths = [].concat(...polylines).map(
+                    (point) => parseFloat(roundNumber(interpolateNodeValue(widths, point[2]))));
+            }
+            break;
+        }
+    }
+
+    return copy;
+}
+
+/**
+ * Orders attribute names as they were parsed, followed by any new ones
+ * @param {Record<string, any>} attributes - The attributes to write
+ * @param {Array<string>} [order] - The parsed attribute order
+ * @returns {Array<string>} - The ordered names of the attributes with values
+ */
+function orderAttributes(attributes, order = []) {
+    const names = order.filter((name) => name in attributes);
+    for (const name in attributes) {
+        if (names.indexOf(name) < 0) names.push(name);
+    }
+    return names.filter((name) => attributes[name] !== undefined);
+}
+
+/**
+ * Replaces XML character references and predefined entities with the characters they stand for
+ * txml leaves them in place, so parsed text and attribute values are decoded
+ * once here and escaped again when serializing.
+ * @param {string} text - The text to decode
+ * @returns {string} - The decoded text
+ */
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (entity, name) => {
+        if (name[0] !== '#') return XML_ENTITIES[name];
+        const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    });
+}
+
+/**
+ * Escapes text content for XML
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeXmlText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes an attribute value for XML, for use in double quotes
+ * @param {any} value - The value to escape
+ * @returns {string} - The escaped value
+ */
+function escapeXmlAttribute(value) {
+    return escapeXmlText(String(value)).replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats an attribute for an opening tag
+ * Attributes parsed without a value are written without one.
+ * @param {string} name - The attribute name
+ * @param {any} value - The attribute value
+ * @returns {string} - The formatted attribute, with a leading space
+ */
+function formatAttribute(name, value) {
+    if (value === null) return ` ${name}`;
+    return ` ${name}="${escapeXmlAttribute(value)}"`;
+}
+
+/**
+ * Formats a node's attributes for its opening tag
+ * @param {SvgNode} node - The node
+ * @param {string | null} overrideStroke - The color to override default ink strokes with
+ * @param {string | null} overrideBg - The color to override the background color with
+ * @returns {string} - The formatted attributes, each with a leading space
+ */
+function formatAttributes(node, overrideStroke, overrideBg) {
     // Start with existing attributes from node.
     let attributes = { ...node.attributes };
     // For specific tag names, merge properties from noteSvgAttributes appropriately.
@@ -118,25 +669,113 @@ export function toSvg(node, overrideStroke=null, overrideBg=null) {
             attributes.version = node.noteSvgAttributes.version;
             break;
         case "path":
-            // For 'path', serialize the array of commands in d to a string.
-            attributes.stroke = overrideStroke || node.noteSvgAttributes.stroke;
+            // For 'path', only default ink follows the color scheme; colored ink is kept.
+            attributes.stroke = (overrideStroke && isDefaultInk(node.noteSvgAttributes.stroke))
+                ? overrideStroke
+                : node.noteSvgAttributes.stroke;
             attributes["stroke-width"] = node.noteSvgAttributes.strokeWidth;
+            if (node.noteSvgAttributes.strokeOpacity !== undefined && node.noteSvgAttributes.strokeOpacity < 1)
+                attributes["stroke-opacity"] = node.noteSvgAttributes.strokeOpacity;
+            if (node.noteSvgAttributes.widths?.length)
+                attributes["data-widths"] = node.noteSvgAttributes.widths.join(' ');
             break;
     }
-    // Construct attribute string.
+    // Construct attribute string, keeping parsed attributes in their original order.
     let attrString = "";
-    for (const key in attributes) {
-        attrString += ` ${key}="${attributes[key]}"`;
+    for (const key of orderAttributes(attributes, node.attributeOrder)) {
+        attrString += formatAttribute(key, attributes[key]);
     }
-    // Open tag.
-    let svg = `<${node.tagName}${attrString}>`;
-    // Recursively serialize children.
-    if (node.children && node.children.length > 0) {
-        for (const child of node.children) {
-            svg += toSvg(child, overrideStroke, overrideBg);
-        }
+    return attrString;
+}
+
+/**
+ * Options for serializing SvgNodes
+ * @typedef {Object} SerializeOptions
+ * @property {string | null} overrideStroke - The color to override default ink strokes with
+ * @property {string | null} overrideBg - The color to override the background color with
+ * @property {string} indent - The indentation per level, or "" to write everything on one line
+ */
+
+/**
+ * Converts a node or string child to XML
+ * Parsed nodes keep their original attribute text and whitespace as long as
+ * their attributes haven't changed.
+ * @param {SvgNode | string} node - The node to convert
+ * @param {SerializeOptions} options - The serialization options
+ * @param {number} depth - The node's depth, for indentation
+ * @returns {string} - The XML
+ */
+function serializeNode(node, options, depth) {
+    if (typeof node === 'string') return escapeXmlText(node);
+    if (node.tagName === DOCTYPE_TAG_NAME) return `<!${node.content}>`;
+    if (node.tagName === COMMENT_TAG_NAME) {
+        const content = UNSAFE_COMMENT_PATTERN.test(node.content) ? node.content.replace(/>/g, '&gt;') : node.content;
+        return `<!--${content}-->`;
     }
-    // Closing tag.
-    svg += `</${node.tagName}>`;
+
+    const { overrideStroke, overrideBg, indent } = options;
+    const { source } = node;
+    let attrString = formatAttributes(node, overrideStroke, overrideBg);
+    if (source?.key !== undefined && attrString === source.key) attrString = source.attributes;
+
+    // Processing instructions, like the XML declaration, have no children or closing tag.
+    if (node.tagName.startsWith('?')) return `<${node.tagName}${attrString}?>`;
+    // Empty elements are self-closing, unless they were written with a closing tag.
+    const children = node.children || [];
+    const whitespace = source?.whitespace || [];
+    if (children.length === 0 && (!source || source.selfClosing)) return `<${node.tagName}${attrString}/>`;
+    // Indent children on their own lines, unless that would add whitespace to text content.
+    // Parsed whitespace is kept, and added children are indented like the last parsed one.
+    const hasText = children.some((child) => typeof child === 'string');
+    const separator = (indent && !hasText) ? '\n' + indent.repeat(depth + 1) : '';
+    let closingSeparator = separator && '\n' + indent.repeat(depth);
+    if (whitespace.length > 0 || children.length === 0) closingSeparator = whitespace[whitespace.length - 1] || '';
+
+    let svg = `<${node.tagName}${attrString}>`;
+    children.forEach((child, i) => {
+        // Text is written as parsed, character references included, if it still reads the same
+        const text = source?.text?.[i];
+        const xml = (typeof text === 'string' && child === decodeXml(text))
+            ? text
+            : serializeNode(child, options, depth + 1);
+        svg += (whitespace[Math.min(i, whitespace.length - 2)] ?? separator) + xml;
+    });
+    svg += `${closingSeparator}</${node.tagName}>`;
     return svg;
 }
+
+/**
+ * Converts a tree of SvgNodes to an SVG string
+ * Attribute values and text are escaped, and empty elements are self-closing
+ * unless they were parsed with a closing tag.
+ * @param {SvgNode | string} node - The node to convert
+ * @param {string | null} [overrideStroke=null] - The color to override default ink strokes with.
+ * @param {string | null} [overrideBg=null] - The color to override the background color with.
+ * @param {string} [indent=""] - The indentation per level for pretty-printing, or "" to write everything on one line.
+ * @returns {string} - The SVG string representation
+ */
+export function toSvg(node, overrideStroke = null, overrideBg = null, indent = "") {
+    return serializeNode(node, { overrideStroke, overrideBg, indent }, 0);
+}
+
+/**
+ * Converts an SvgNode document to an SVG string, including its prolog and epilog
+ * @param {SvgNode} root - The document's root node
+ * @param {string | null} [overrideStroke=null] - The color to override default ink strokes with.
+ * @param {string | null} [overrideBg=null] - The color to override the background color with.
+ * @param {string} [indent=""] - The indentation per level for pretty-printing, or "" to write everything on one line.
+ * @returns {string} - The SVG string representation
+ */
+export function toSvgDocument(root, overrideStroke = null, overrideBg = null, indent = "") {
+    const toSvgOutside = (node) => toSvg(node, overrideStroke, overrideBg, indent);
+
+    // Parsed documents keep the whitespace around the root element in the prolog and epilog
+    const outside = [...(root.prolog || []), ...(root.epilog || [])];
+    const hasWhitespace = outside.some((node) => typeof node === 'string' && node.trim() === '');
+
+    return [
+        ...(root.prolog || []).map(toSvgOutside),
+        toSvg(root, overrideStroke, overrideBg, indent),
+        ...(root.epilog || []).map(toSvgOutside)
+    ].join(indent && !hasWhitespace ? '\n' : '');
+}
@@ -0,0 +1,422 @@
+/**
+ * SVG path data handling for the note.svg application
+ *
+ * This module parses path data strings into absolute commands, serializes
+ * them back, and flattens them into polylines for rendering and geometry.
+ */
+
+import { roundNumber } from "./utils.js";
+
+/**
+ * An absolute path command
+ * @typedef {Object} PathCommand
+ * @property {"M" | "L" | "C" | "Z"} type - The command type
+ * @property {Array<Array<number>>} points - The command's points; the last one is its endpoint
+ */
+
+/**
+ * Number of arguments taken by each command
+ * @type {Record<string, number>}
+ */
+const COMMAND_ARGUMENTS = {
+    M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0
+};
+
+/**
+ * Matches a command letter or a number, after any separators
+ * @type {RegExp}
+ */
+const TOKEN_PATTERN = /[\s,]*([a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/y;
+
+/**
+ * Matches an arc flag, after any separators
+ * Flags are single digits and may be written without separators, as in "a1 1 0 011 1".
+ * @type {RegExp}
+ */
+const FLAG_PATTERN = /[\s,]*([01])/y;
+
+/**
+ * Splits a path data string into command letters and numbers
+ * Characters that are neither are skipped.
+ * @param {string} d - The path data
+ * @returns {Array<string | number>} - The tokens
+ */
+function tokenizePathData(d) {
+    const tokens = [];
+    const data = d || '';
+    // Index of the next argument within an arc command, or -1 outside arcs
+    let arcArgument = -1;
+    let pos = 0;
+
+    while (pos < data.length) {
+        const pattern = (arcArgument === 3 || arcArgument === 4) ? FLAG_PATTERN : TOKEN_PATTERN;
+        pattern.lastIndex = pos;
+
+        const match = pattern.exec(data);
+        if (!match) {
+            pos++;
+            continue;
+        }
+        pos = pattern.lastIndex;
+
+        if (/^[a-zA-Z]$/.test(match[1])) {
+            tokens.push(match[1]);
+            arcArgument = match[1].toUpperCase() === 'A' ? 0 : -1;
+        } else {
+            tokens.push(parseFloat(match[1]));
+            if (arcArgument >= 0) arcArgument = (arcArgument + 1) % COMMAND_ARGUMENTS.A;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Reflects a point about another point
+ * @param {Array<number>} point - The point to reflect
+ * @param {Array<number>} center - The point to reflect about
+ * @returns {Array<number>} - The reflected point
+ */
+function reflectPoint(point, center) {
+    return [2 * center[0] - point[0], 2 * center[1] - point[1]];
+}
+
+/**
+ * Converts a quadratic Bézier curve to the equivalent cubic curve's points
+ * @param {Array<number>} start - The start point
+ * @param {Array<number>} control - The control point
+ * @param {Array<number>} end - The end point
+ * @returns {Array<Array<number>>} - The cubic curve's two control points and end point
+ */
+function quadraticToCubic(start, control, end) {
+    return [
+        [start[0] + 2 / 3 * (control[0] - start[0]), start[1] + 2 / 3 * (control[1] - start[1])],
+        [end[0] + 2 / 3 * (control[0] - end[0]), end[1] + 2 / 3 * (control[1] - end[1])],
+        end
+    ];
+}
+
+/**
+ * Converts an elliptical arc to cubic Bézier curves
+ * Follows the endpoint to center conversion in the SVG implementation notes,
+ * then approximates each quarter turn or less with one curve.
+ * @param {Array<number>} start - The start point
+ * @param {number} rx - The x radius
+ * @param {number} ry - The y radius
+ * @param {number} rotation - The x axis rotation in degrees
+ * @param {boolean} largeArc - Whether to take the larger arc
+ * @param {boolean} sweep - Whether to sweep in the positive angle direction
+ * @param {Array<number>} end - The end point
+ * @returns {Array<PathCommand>} - The curves, or a line if the arc is degenerate
+ */
+function arcToCubics(start, rx, ry, rotation, largeArc, sweep, end) {
+    if (start[0] === end[0] && start[1] === end[1]) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return [{ type: 'L', points: [end] }];
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi), sin = Math.sin(phi);
+
+    // The start point in the ellipse's coordinate system, relative to the chord's midpoint
+    const dx = (start[0] - end[0]) / 2, dy = (start[1] - end[1]) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+
+    // Scale up radii that are too small to reach the end point
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    let factor = Math.sqrt(Math.max(0, numerator / denominator));
+    if (largeArc === sweep) factor = -factor;
+
+    const cx1 = factor * rx * y1 / ry;
+    const cy1 = -factor * ry * x1 / rx;
+    const cx = cos * cx1 - sin * cy1 + (start[0] + end[0]) / 2;
+    const cy = sin * cx1 + cos * cy1 + (start[1] + end[1]) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    // Points on the ellipse and their tangents, in path coordinates
+    const pointAt = (t) => [
+        cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+        cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+    ];
+    const tangentAt = (t) => [
+        -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+        -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos
+    ];
+
+    const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+    const step = delta / segments;
+    const k = 4 / 3 * Math.tan(step / 4);
+    /** @type {Array<PathCommand>} */
+    const commands = [];
+
+    for (let i = 0; i < segments; i++) {
+        const t0 = theta + i * step, t1 = t0 + step;
+        const p0 = pointAt(t0), p1 = i === segments - 1 ? end.slice() : pointAt(t1);
+        const d0 = tangentAt(t0), d1 = tangentAt(t1);
+
+        commands.push({
+            type: 'C',
+            points: [
+                [p0[0] + k * d0[0], p0[1] + k * d0[1]],
+                [p1[0] - k * d1[0], p1[1] - k * d1[1]],
+                p1
+            ]
+        });
+    }
+
+    return commands;
+}
+
+/**
+ * Parses a path data string into absolute commands
+ * Every SVG path command is supported. Horizontal and vertical lines become
+ * lines, and smooth, quadratic and arc curves become cubic curves, so a
+ * command in the string may produce several commands or none.
+ * @param {string} d - The path data
+ * @returns {Array<PathCommand>} - The parsed commands
+ * @throws {Error} If the path data contains an unknown command or is missing arguments
+ */
+export function parsePathData(d) {
+    const tokens = tokenizePathData(d);
+    /** @type {Array<PathCommand>} */
+    const commands = [];
+
+    let current = [0, 0];
+    let subpathStart = [0, 0];
+    // The last control points, for the reflections of smooth curves
+    let cubicControl = null;
+    let quadraticControl = null;
+    let letter = null;
+    let i = 0;
+
+    while (i < tokens.length) {
+        if (typeof tokens[i] === 'string') {
+            letter = tokens[i++];
+        } else if (letter === null) {
+            throw new Error('Path data must start with a command');
+        }
+
+        const type = /** @type {string} */ (letter).toUpperCase();
+        const relative = letter !== type;
+        const count = COMMAND_ARGUMENTS[type];
+
+        if (count === undefined) {
+            throw new Error(`Unsupported path command "${letter}"`);
+        }
+
+        if (type === 'Z') {
+            commands.push({ type: 'Z', points: [subpathStart.slice()] });
+            current = subpathStart.slice();
+            cubicControl = quadraticControl = null;
+            letter = null;
+            continue;
+        }
+
+        const args = /** @type {Array<number>} */ (tokens.slice(i, i + count));
+        if (args.length < count || args.some((arg) => typeof arg !== 'number')) {
+            throw new Error(`Missing arguments for path command "${letter}"`);
+        }
+        i += count;
+
+        // Resolves a coordinate pair from the arguments to an absolute point
+        const point = (j) => relative
+            ? [current[0] + args[j], current[1] + args[j + 1]]
+            : [args[j], args[j + 1]];
+
+        /** @type {Array<PathCommand>} */
+        let produced;
+        let nextCubicControl = null;
+        let nextQuadraticControl = null;
+
+        switch (type) {
+            case 'M':
+                produced = [{ type: 'M', points: [point(0)] }];
+                break;
+            case 'L':
+                produced = [{ type: 'L', points: [point(0)] }];
+                break;
+            case 'H':
+                produced = [{ type: 'L', points: [[relative ? current[0] + args[0] : args[0], current[1]]] }];
+                break;
+            case 'V':
+                produced = [{ type: 'L', points: [[current[0], relative ? current[1] + args[0] : args[0]]] }];
+                break;
+            case 'C':
+                produced = [{ type: 'C', points: [point(0), point(2), point(4)] }];
+                nextCubicControl = produced[0].points[1];
+                break;
+            case 'S': {
+                const first = cubicControl ? reflectPoint(cubicControl, current) : current.slice();
+                produced = [{ type: 'C', points: [first, point(0), point(2)] }];
+                nextCubicControl = produced[0].points[1];
+                break;
+            }
+            case 'Q':
+                nextQuadraticControl = point(0);
+                produced = [{ type: 'C', points: quadraticToCubic(current, nextQuadraticControl, point(2)) }];
+                break;
+            case 'T':
+                nextQuadraticControl = quadraticControl ? reflectPoint(quadraticControl, current) : current.slice();
+                produced = [{ type: 'C', points: quadraticToCubic(current, nextQuadraticControl, point(0)) }];
+                break;
+            case 'A':
+                produced = arcToCubics(current, args[0], args[1], args[2], args[3] !== 0, args[4] !== 0, point(5));
+                break;
+        }
+
+        commands.push(...produced);
+        if (produced.length > 0) {
+            const last = produced[produced.length - 1].points;
+            current = last[last.length - 1];
+        }
+        cubicControl = nextCubicControl;
+        quadraticControl = nextQuadraticControl;
+
+        if (type === 'M') {
+            subpathStart = current.slice();
+            // Further coordinate pairs after a move are implicit line-tos
+            letter = relative ? 'l' : 'L';
+        }
+    }
+
+    return commands;
+}
+
+/**
+ * Serializes absolute commands into a path data string
+ * @param {Array<PathCommand>} commands - The commands to serialize
+ * @returns {string} - The path data
+ */
+export function serializePathData(commands) {
+    let d = '';
+
+    for (const command of commands) {
+        if (command.type === 'Z') {
+            d += 'Z ';
+            continue;
+        }
+
+        d += `${command.type} ` + command.points
+            .map((point) => `${roundNumber(point[0])} ${roundNumber(point[1])}`)
+            .join(', ') + ' ';
+    }
+
+    return d;
+}
+
+/**
+ * Evaluates a cubic Bézier curve
+ * @param {Array<number>} p0 - The start point
+ * @param {Array<number>} p1 - The first control point
+ * @param {Array<number>} p2 - The second control point
+ * @param {Array<number>} p3 - The end point
+ * @param {number} t - The curve parameter between 0 and 1
+ * @returns {Array<number>} - The point on the curve
+ */
+export function evaluateCubic(p0, p1, p2, p3, t) {
+    const mt = 1 - t;
+    const a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, e = t * t * t;
+
+    return [
+        a * p0[0] + b * p1[0] + c * p2[0] + e * p3[0],
+        a * p0[1] + b * p1[1] + c * p2[1] + e * p3[1]
+    ];
+}
+
+/**
+ * Flattens commands into polylines
+ * Each point is [x, y, s], where s is the fractional index of the command
+ * whose segment the point lies on, so values stored per command endpoint can
+ * be interpolated along the polyline.
+ * @param {Array<PathCommand>} commands - The commands to flatten
+ * @param {number | function(Array<Array<number>>): number} [curveSteps=8] - Number of line
+ *  segments per cubic curve, or a function computing it from the curve's four points
+ * @returns {Array<Array<Array<number>>>} - One polyline per subpath
+ */
+export function flattenPathData(commands, curveSteps = 8) {
+    const polylines = [];
+    let polyline = null;
+    let current = [0, 0];
+
+    // Paths that don't start with a move implicitly start at the origin
+    const startPolyline = (index) => {
+        const started = [[current[0], current[1], index]];
+        polylines.push(started);
+        return started;
+    };
+
+    commands.forEach((command, index) => {
+        const end = command.points[command.points.length - 1];
+
+        switch (command.type) {
+            case 'M':
+                polyline = [[end[0], end[1], index]];
+                polylines.push(polyline);
+                break;
+
+            case 'L':
+            case 'Z':
+                polyline ||= startPolyline(index);
+                polyline.push([end[0], end[1], index]);
+                break;
+
+            case 'C': {
+                polyline ||= startPolyline(index);
+                const steps = typeof curveSteps === 'function'
+                    ? curveSteps([current, ...command.points])
+                    : curveSteps;
+                for (let step = 1; step <= steps; step++) {
+                    const t = step / steps;
+                    const point = evaluateCubic(current, command.points[0], command.points[1], end, t);
+                    polyline.push([point[0], point[1], index - 1 + t]);
+                }
+                break;
+            }
+        }
+
+        current = end;
+    });
+
+    return polylines;
+}
+
+/**
+ * Computes how many line segments approximate a cubic curve closely enough
+ * The curve is no longer than its control polygon, so splitting that length
+ * into pieces of at most the given length keeps every line segment short.
+ * @param {Array<Array<number>>} curve - The curve's start, control and end points
+ * @param {number} [maxSegmentLength=4] - The longest line segment to produce
+ * @returns {number} - The number of line segments
+ */
+export function getCurveSteps(curve, maxSegmentLength = 4) {
+    let length = 0;
+    for (let i = 1; i < curve.length; i++) {
+        length += Math.hypot(curve[i][0] - curve[i - 1][0], curve[i][1] - curve[i - 1][1]);
+    }
+    return Math.max(1, Math.min(64, Math.ceil(length / maxSegmentLength)));
+}
+
+/**
+ * Interpolates a value stored per command endpoint at a fractional command index
+ * @param {Array<number>} values - The value at each command endpoint
+ * @param {number} s - The fractional command index, as produced by flattenPathData
+ * @returns {number} - The interpolated value
+ */
+export function interpolateNodeValue(values, s) {
+    const i = Math.max(0, Math.min(values.length - 1, Math.floor(s)));
+    const next = Math.min(values.length - 1, i + 1);
+    return values[i] + (values[next] - values[i]) * Math.max(0, s - i);
+}
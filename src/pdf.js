@@ -0,0 +1,240 @@
+/**
+ * PDF export for the note.svg application
+ *
+ * This module writes note.svg documents as vector PDFs, one page per
+ * document, without any external service. Paths keep their curves, colors,
+ * widths and opacity; variable-width strokes are filled outlines, as on the
+ * canvas. The output is uncompressed ASCII, so byte offsets are string offsets.
+ */
+
+import { isDefaultInk } from "./notesvg.js";
+import { parsePathData } from "./path-data.js";
+import { traceVariableWidthOutline } from "./stroke.js";
+import { normalizeColor } from "./utils.js";
+
+/**
+ * @typedef {import("./notesvg.js").SvgNode} SvgNode
+ */
+
+/**
+ * Options for writing a PDF
+ * @typedef {Object} PdfOptions
+ * @property {string} [inkColor="#000000"] - The color default ink is drawn in
+ * @property {string | null} [background=null] - The page color, or null to leave pages unpainted
+ */
+
+/**
+ * PDF points per document unit, which are CSS pixels
+ * @type {number}
+ */
+const POINTS_PER_UNIT = 0.75;
+
+/**
+ * Bézier control point distance for approximating a quarter circle
+ * @type {number}
+ */
+const KAPPA = 0.5522847498;
+
+/**
+ * Formats a number for a PDF content stream
+ * @param {number} value - The number
+ * @returns {string} - The number with at most three decimals
+ */
+function formatNumber(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * Converts a CSS color to PDF RGB components
+ * @param {string} color - The color
+ * @returns {string} - The components as "r g b", black if the color can't be read
+ */
+function formatColor(color) {
+    const hex = normalizeColor(String(color || '').trim());
+    if (!/^#[0-9a-f]{6}$/i.test(hex)) return '0 0 0';
+
+    return [1, 3, 5].map((i) => formatNumber(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+/**
+ * Collects path construction operators for a content stream
+ * Implements the parts of the Path2D interface that outlines are drawn with.
+ */
+class PdfPathBuilder {
+    constructor() {
+        /** @type {Array<string>} */
+        this.operators = [];
+    }
+
+    /**
+     * Starts a subpath
+     * @param {number} x - The x coordinate
+     * @param {number} y - The y coordinate
+     */
+    moveTo(x, y) {
+        this.operators.push(`${formatNumber(x)} ${formatNumber(y)} m`);
+    }
+
+    /**
+     * Adds a line
+     * @param {number} x - The x coordinate
+     * @param {number} y - The y coordinate
+     */
+    lineTo(x, y) {
+        this.operators.push(`${formatNumber(x)} ${formatNumber(y)} l`);
+    }
+
+    /**
+     * Adds a cubic Bézier curve
+     * @param {number} x1 - The first control point's x coordinate
+     * @param {number} y1 - The first control point's y coordinate
+     * @param {number} x2 - The second control point's x coordinate
+     * @param {number} y2 - The second control point's y coordinate
+     * @param {number} x - The end point's x coordinate
+     * @param {number} y - The end point's y coordinate
+     */
+    bezierCurveTo(x1, y1, x2, y2, x, y) {
+        this.operators.push([x1, y1, x2, y2, x, y].map(formatNumber).join(' ') + ' c');
+    }
+
+    /**
+     * Adds a full circle, starting and ending at its rightmost point
+     * Outlines only draw full circles, so other angles aren't supported.
+     * @param {number} x - The center's x coordinate
+     * @param {number} y - The center's y coordinate
+     * @param {number} radius - The radius
+     */
+    arc(x, y, radius) {
+        const k = radius * KAPPA;
+        this.bezierCurveTo(x + radius, y + k, x + k, y + radius, x, y + radius);
+        this.bezierCurveTo(x - k, y + radius, x - radius, y + k, x - radius, y);
+        this.bezierCurveTo(x - radius, y - k, x - k, y - radius, x, y - radius);
+        this.bezierCurveTo(x + k, y - radius, x + radius, y - k, x + radius, y);
+    }
+
+    /**
+     * Closes the current subpath
+     */
+    closePath() {
+        this.operators.push('h');
+    }
+}
+
+/**
+ * Writes the content stream and graphics states for one document
+ * @param {SvgNode} root - The document
+ * @param {PdfOptions} options - The PDF options
+ * @returns {{content: string, opacities: Array<number>}} - The content stream and
+ *  the opacities it uses, where the graphics state /GS{i} sets opacities[i]
+ */
+function writePageContent(root, options) {
+    const { width, height } = root.noteSvgAttributes;
+    const opacities = [];
+    const lines = [];
+
+    if (options.background) {
+        lines.push(`${formatColor(options.background)} rg`);
+        lines.push(`0 0 ${formatNumber(width * POINTS_PER_UNIT)} ${formatNumber(height * POINTS_PER_UNIT)} re f`);
+    }
+
+    // Draw in document units with the origin at the top left, as on the canvas
+    lines.push(`${POINTS_PER_UNIT} 0 0 ${-POINTS_PER_UNIT} 0 ${formatNumber(height * POINTS_PER_UNIT)} cm`);
+    lines.push('1 J 1 j');
+
+    const writeNode = (node) => {
+        if (typeof node === 'string') return;
+
+        if (node.tagName === 'path') {
+            const attributes = node.noteSvgAttributes || {};
+            const color = formatColor(isDefaultInk(attributes.stroke) ? options.inkColor : attributes.stroke);
+            const path = new PdfPathBuilder();
+
+            // Skip paths with invalid data entirely rather than drawing what parsed before the error
+            try {
+                if (attributes.widths?.length) {
+                    // Variable-width strokes are filled outlines
+                    traceVariableWidthOutline(node.attributes.d, attributes.widths, path);
+                } else {
+                    for (const command of parsePathData(node.attributes.d)) {
+                        const points = [].concat(...command.points);
+                        if (command.type === 'M') path.moveTo(points[0], points[1]);
+                        else if (command.type === 'L') path.lineTo(points[0], points[1]);
+                        else if (command.type === 'C') path.bezierCurveTo(points[0], points[1], points[2], points[3], points[4], points[5]);
+                        else path.closePath();
+                    }
+                }
+            } catch (error) {
+                console.warn(`Skipped a path with invalid data: ${error.message}`);
+                return;
+            }
+
+            lines.push('q');
+            const opacity = attributes.strokeOpacity ?? 1;
+            if (opacity < 1) {
+                if (opacities.indexOf(opacity) < 0) opacities.push(opacity);
+                lines.push(`/GS${opacities.indexOf(opacity)} gs`);
+            }
+
+            if (attributes.widths?.length) {
+                lines.push(`${color} rg`, ...path.operators, 'f');
+            } else {
+                // Same default width as the canvas
+                lines.push(`${color} RG`, `${formatNumber(attributes.strokeWidth || 2)} w`, ...path.operators, 'S');
+            }
+            lines.push('Q');
+        }
+
+        for (const child of node.children || []) writeNode(child);
+    };
+    writeNode(root);
+
+    return { content: lines.join('\n') + '\n', opacities };
+}
+
+/**
+ * Writes note.svg documents as a PDF, one page per document
+ * @param {Array<SvgNode>} documents - The documents
+ * @param {PdfOptions} [options={}] - The PDF options
+ * @returns {string} - The PDF file's content
+ */
+export function toPdf(documents, options = {}) {
+    const pdfOptions = { inkColor: '#000000', background: null, ...options };
+
+    // Objects are numbered from 1; the catalog and page tree come first
+    const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null];
+    const pageIds = [];
+
+    for (const root of documents) {
+        const { content, opacities } = writePageContent(root, pdfOptions);
+        const width = formatNumber(root.noteSvgAttributes.width * POINTS_PER_UNIT);
+        const height = formatNumber(root.noteSvgAttributes.height * POINTS_PER_UNIT);
+
+        const states = opacities
+            .map((opacity, i) => `/GS${i} << /Type /ExtGState /CA ${formatNumber(opacity)} /ca ${formatNumber(opacity)} >>`)
+            .join(' ');
+
+        objects.push(`<< /Length ${content.length} >>\nstream\n${content}endstream`);
+        const contentId = objects.length;
+
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}]`
+            + ` /Resources << /ExtGState << ${states} >> >> /Contents ${contentId} 0 R >>`);
+        pageIds.push(objects.length);
+    }
+
+    objects[1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((object, i) => {
+        offsets.push(pdf.length);
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    for (const offset of offsets) pdf += `${('000000000' + offset).slice(-10)} 00000 n \n`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return pdf;
+}
@@ -0,0 +1,312 @@
+/**
+ * SVG sanitization for the note.svg application
+ *
+ * This module strips everything an imported SVG could use to run script or
+ * load resources before it becomes a note. Elements and attributes are kept
+ * only if the note.svg spec allows them, along with the "Edit" link the
+ * editor adds to its own exports, if it is exactly that link; every other
+ * link is removed. Text is only kept in elements that show it. Inside
+ * <metadata>, only <notesvg> and its content are kept. Elements are matched by their lower-cased local
+ * name, so neither case nor a namespace prefix hides them. Other editors'
+ * data is preserved: elements in namespaces browsers don't render, such as
+ * Inkscape's or RDF's, and namespaced attributes are kept as long as they
+ * aren't scriptable. Sanitizing works on
+ * transformed trees, where the attributes left in node.attributes are the
+ * ones toSvg would write back unchanged.
+ */
+
+import { isComment, isDeclaration, isEditLink } from "./notesvg.js";
+import { ALLOWED_ATTRIBUTES } from "./validator.js";
+
+/**
+ * @typedef {import("./notesvg.js").SvgNode} SvgNode
+ */
+
+/**
+ * Something removed by the sanitizer
+ * @typedef {Object} SanitizeIssue
+ * @property {string} path - Where it was, i.e. "/svg/path[2]"
+ * @property {string} message - What was removed and why
+ */
+
+/**
+ * Attributes allowed on each element, beyond the spec's
+ * @type {Record<string, Array<string>>}
+ */
+const EXTRA_ALLOWED_ATTRIBUTES = {
+    title: [],
+    desc: [],
+    text: [
+        'x', 'y', 'dx', 'dy', 'text-anchor', 'dominant-baseline', 'fill',
+        'font-family', 'font-size', 'font-weight', 'text-decoration'
+    ],
+};
+
+/**
+ * Elements whose text content is shown or read, outside of <metadata>
+ * @type {Array<string>}
+ */
+const TEXT_ELEMENTS = ['title', 'desc', 'text'];
+
+/**
+ * Elements that can run script, load content or change other elements, by
+ * lower-cased local name
+ * @type {Array<string>}
+ */
+const SCRIPTABLE_ELEMENTS = [
+    'script', 'foreignobject', 'iframe', 'object', 'embed', 'use', 'image', 'style', 'handler',
+    'set', 'animate', 'animatetransform', 'animatemotion', 'animatecolor', 'a'
+];
+
+/**
+ * Namespaces whose elements browsers render, run or load content for
+ * Prefixed elements in any other declared namespace are inert data.
+ * @type {Array<string>}
+ */
+const ACTIVE_NAMESPACES = [
+    'http://www.w3.org/2000/svg', 'http://www.w3.org/1999/xhtml', 'http://www.w3.org/1998/Math/MathML'
+];
+
+/**
+ * Matches URLs that run script or embed documents
+ * Browsers ignore whitespace and control characters in the scheme, so they
+ * are removed before matching.
+ * @type {RegExp}
+ */
+const UNSAFE_URL_PATTERN = /^(javascript|vbscript|data):/i;
+
+/**
+ * Matches CSS that loads resources or runs script
+ * @type {RegExp}
+ */
+const UNSAFE_STYLE_PATTERN = /url\s*\(|expression\s*\(|@import|javascript:/i;
+
+/**
+ * Thrown in strict mode when an SVG contains anything the sanitizer would remove
+ */
+export class UnsafeSvgError extends Error {
+    /**
+     * Creates a new UnsafeSvgError instance
+     * @param {Array<SanitizeIssue>} removed - What would have been removed
+     */
+    constructor(removed) {
+        super(`The SVG contains content that is not allowed:\n`
+            + removed.map((issue) => `${issue.path}: ${issue.message}`).join('\n'));
+        this.name = 'UnsafeSvgError';
+        this.removed = removed;
+    }
+}
+
+/**
+ * Gets an element's local name in lower case, without its namespace prefix
+ * @param {string} tagName - The element's tag name
+ * @returns {string} - The local name
+ */
+function getLocalName(tagName) {
+    return tagName.slice(tagName.lastIndexOf(':') + 1).toLowerCase();
+}
+
+/**
+ * Adds an element's namespace declarations to the ones in scope
+ * @param {SvgNode} node - The element
+ * @param {Map<string, string>} namespaces - The namespace URIs in scope, by prefix
+ * @returns {Map<string, string>} - The namespace URIs in scope on the element
+ */
+function declareNamespaces(node, namespaces) {
+    const declared = new Map(namespaces);
+    for (const name in node.attributes) {
+        if (name.startsWith('xmlns:')) declared.set(name.slice(6), String(node.attributes[name]).trim());
+    }
+    return declared;
+}
+
+/**
+ * Checks if an element is in a declared namespace that browsers don't render
+ * @param {string} tagName - The element's tag name
+ * @param {Map<string, string>} namespaces - The namespace URIs in scope on the element
+ * @returns {boolean} - True if the element is another application's data
+ */
+function isForeignElement(tagName, namespaces) {
+    const separator = tagName.indexOf(':');
+    if (separator < 0) return false;
+
+    const namespace = namespaces.get(tagName.slice(0, separator));
+    return namespace !== undefined && ACTIVE_NAMESPACES.indexOf(namespace) < 0;
+}
+
+/**
+ * Finds why an element is removed
+ * @param {string} tagName - The element's tag name
+ * @param {string|null} metadataChild - The local name of the <metadata> child the element is in,
+ *  or null if it isn't in <metadata>
+ * @param {Map<string, string>} namespaces - The namespace URIs in scope on the element
+ * @returns {string|null} - Why the element is removed, or null if it's kept
+ */
+function checkElement(tagName, metadataChild, namespaces) {
+    const localName = getLocalName(tagName);
+
+    if (SCRIPTABLE_ELEMENTS.indexOf(localName) >= 0) {
+        return `Element <${tagName}> can run script or load content and was removed`;
+    }
+    if (isForeignElement(tagName, namespaces)) return null;
+    if (metadataChild !== null) {
+        return (metadataChild === 'notesvg' && tagName === localName)
+            ? null
+            : `Element <${tagName}> is not note.svg metadata and was removed`;
+    }
+    return getAllowedAttributes(tagName) ? null : `Element <${tagName}> is not part of note.svg and was removed`;
+}
+
+/**
+ * Gets the attributes allowed on an element
+ * @param {string} tagName - The element's tag name
+ * @returns {Array<string>|null} - The allowed attributes, or null if the element isn't allowed
+ */
+function getAllowedAttributes(tagName) {
+    return ALLOWED_ATTRIBUTES[tagName] || EXTRA_ALLOWED_ATTRIBUTES[tagName] || null;
+}
+
+/**
+ * Finds why an attribute is unsafe
+ * @param {string} tagName - The element's tag name
+ * @param {string} name - The attribute name
+ * @param {any} value - The attribute value
+ * @param {boolean} inert - Whether the element is never rendered, like <metadata> content and other
+ *  applications' data
+ * @returns {string|null} - Why the attribute is removed, or null if it's kept
+ */
+function checkAttribute(tagName, name, value, inert) {
+    if (/^on/.test(getLocalName(name))) {
+        return `Event handler attribute "${name}" removed`;
+    }
+    if (typeof value === 'string' && UNSAFE_URL_PATTERN.test(value.replace(/[\s\x00-\x1f]/g, ''))) {
+        return `Attribute "${name}" with a script or data URL removed`;
+    }
+    if (getLocalName(name) === 'style' && UNSAFE_STYLE_PATTERN.test(String(value))) {
+        return 'Style that loads resources or runs script removed';
+    }
+    if (inert) return null;
+
+    // Namespace declarations are inert, as are other applications' namespaced attributes
+    if (tagName === 'svg' && name === 'xmlns') return null;
+    if (name.indexOf(':') > 0) return null;
+
+    const allowed = getAllowedAttributes(tagName) || [];
+    return allowed.indexOf(name) < 0 ? `Attribute "${name}" is not part of note.svg and was removed` : null;
+}
+
+/**
+ * Sanitizes a node's attributes and children
+ * @param {SvgNode} node - The node
+ * @param {string} path - The node's path
+ * @param {string|null} metadataChild - The local name of the <metadata> child the node is in,
+ *  "" for <metadata> itself, or null if it isn't in <metadata>
+ * @param {Map<string, string>} namespaces - The namespace URIs in scope on the node
+ * @param {SvgNode|null} editLink - The editor's "Edit" link among the node's children, which is kept as it is
+ * @param {boolean} strip - Whether to remove what is found, or only report it
+ * @param {Array<SanitizeIssue>} removed - The list to report removals to
+ */
+function sanitizeNode(node, path, metadataChild, namespaces, editLink, strip, removed) {
+    const inert = metadataChild !== null || isForeignElement(node.tagName, namespaces);
+    const showsText = inert || TEXT_ELEMENTS.indexOf(node.tagName) >= 0;
+    for (const name of Object.keys(node.attributes)) {
+        const message = checkAttribute(node.tagName, name, node.attributes[name], inert);
+        if (!message) continue;
+
+        removed.push({ path, message });
+        if (strip) delete node.attributes[name];
+    }
+
+    const counts = {};
+    const children = [];
+    for (const child of node.children || []) {
+        if (typeof child === 'string' && !showsText && child.trim() !== '') {
+            removed.push({ path, message: 'Text outside a text element removed' });
+            continue;
+        }
+        if (typeof child === 'string' || isComment(child)) {
+            children.push(child);
+            continue;
+        }
+        if (isDeclaration(child)) {
+            removed.push({ path, message: 'Doctype inside an element removed' });
+            continue;
+        }
+
+        counts[child.tagName] = (counts[child.tagName] || 0) + 1;
+        const childPath = `${path}/${child.tagName}[${counts[child.tagName]}]`;
+        if (child === editLink) {
+            children.push(child);
+            continue;
+        }
+
+        // Children of <metadata> are checked by their own name, and their content by its ancestor's
+        const childMetadataChild = metadataChild === '' ? getLocalName(child.tagName) : metadataChild;
+        const childNamespaces = declareNamespaces(child, namespaces);
+        const message = checkElement(child.tagName, childMetadataChild, childNamespaces);
+        if (message) {
+            removed.push({ path: childPath, message });
+            continue;
+        }
+
+        const isMetadata = metadataChild === null && child.tagName === 'metadata';
+        sanitizeNode(child, childPath, isMetadata ? '' : childMetadataChild, childNamespaces, null, strip, removed);
+        children.push(child);
+    }
+
+    if (strip) node.children = children;
+}
+
+/**
+ * Sanitizes the nodes before or after the root element
+ * Processing instructions other than the XML declaration can load
+ * stylesheets, and doctypes with an internal subset can define entities.
+ * @param {Array<SvgNode | string>} nodes - The nodes
+ * @param {boolean} strip - Whether to remove what is found, or only report it
+ * @param {Array<SanitizeIssue>} removed - The list to report removals to
+ * @returns {Array<SvgNode | string>} - The nodes that are kept
+ */
+function sanitizeOutside(nodes, strip, removed) {
+    const kept = nodes.filter((node) => {
+        if (typeof node === 'string' || isComment(node) || node.tagName === '?xml') return true;
+        if (isDeclaration(node)) {
+            if (node.content.indexOf('[') < 0) return true;
+            removed.push({ path: '/', message: 'Doctype with an internal subset removed' });
+            return false;
+        }
+
+        removed.push({ path: '/', message: `<${node.tagName}> outside the root element removed` });
+        return false;
+    });
+
+    return strip ? kept : nodes;
+}
+
+/**
+ * Removes everything from a transformed SVG tree that note.svg doesn't allow
+ * @param {SvgNode} root - The root <svg> node, modified in place
+ * @param {boolean} [strict=false] - Whether to reject the SVG instead of stripping it
+ * @param {string|null} [editLinkHref=null] - Where the editor is, to keep the first "Edit" link to it
+ *  among the root's children, or null to remove all links
+ * @returns {Array<SanitizeIssue>} - What was removed
+ * @throws {UnsafeSvgError} - In strict mode, if anything would be removed
+ */
+export function sanitizeSvg(root, strict = false, editLinkHref = null) {
+    /** @type {Array<SanitizeIssue>} */
+    const removed = [];
+    if (root.tagName !== 'svg') {
+        throw new Error(`The root element must be <svg>, not <${root.tagName}>`);
+    }
+
+    const editLink = editLinkHref === null
+        ? null
+        : /** @type {SvgNode} */ ((root.children || []).find((child) => isEditLink(child, editLinkHref))) || null;
+    sanitizeNode(root, '/svg', null, declareNamespaces(root, new Map()), editLink, !strict, removed);
+    for (const key of ['prolog', 'epilog']) {
+        if (root[key]) root[key] = sanitizeOutside(root[key], !strict, removed);
+    }
+
+    if (strict && removed.length > 0) throw new UnsafeSvgError(removed);
+
+    return removed;
+}
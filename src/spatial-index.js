@@ -0,0 +1,124 @@
+/**
+ * Spatial indexing for the note.svg application
+ *
+ * This module provides a uniform grid over node bounding boxes so that hit
+ * tests only need exact geometry checks on nodes near the point of interest.
+ */
+
+/**
+ * @typedef {import("./geometry.js").BoundingBox} BoundingBox
+ */
+
+/**
+ * Default size of a grid cell in document units
+ * @type {number}
+ */
+const DEFAULT_CELL_SIZE = 64;
+
+/**
+ * Uniform grid of bounding boxes
+ * @template T
+ */
+export class SpatialIndex {
+    /**
+     * Creates a new SpatialIndex instance
+     * @param {number} [cellSize=DEFAULT_CELL_SIZE] - The size of a grid cell
+     */
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        /** @type {number} */
+        this.cellSize = cellSize;
+
+        /** @type {Map<string, Set<T>>} */
+        this.cells = new Map();
+
+        /** @type {Map<T, Array<string>>} */
+        this.itemCells = new Map();
+    }
+
+    /**
+     * Gets the keys of the cells a bounding box overlaps
+     * @param {BoundingBox} bbox - The bounding box
+     * @returns {Array<string>} - The cell keys
+     */
+    getCellKeys(bbox) {
+        const keys = [];
+        const minX = Math.floor(bbox.min[0] / this.cellSize);
+        const minY = Math.floor(bbox.min[1] / this.cellSize);
+        const maxX = Math.floor(bbox.max[0] / this.cellSize);
+        const maxY = Math.floor(bbox.max[1] / this.cellSize);
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) keys.push(`${x},${y}`);
+        }
+
+        return keys;
+    }
+
+    /**
+     * Adds an item, replacing it if it's already indexed
+     * @param {T} item - The item to add
+     * @param {BoundingBox} bbox - The item's bounding box
+     */
+    insert(item, bbox) {
+        this.remove(item);
+
+        const keys = this.getCellKeys(bbox);
+        for (const key of keys) {
+            if (!this.cells.has(key)) this.cells.set(key, new Set());
+            this.cells.get(key).add(item);
+        }
+
+        this.itemCells.set(item, keys);
+    }
+
+    /**
+     * Removes an item
+     * @param {T} item - The item to remove
+     */
+    remove(item) {
+        const keys = this.itemCells.get(item);
+        if (!keys) return;
+
+        for (const key of keys) {
+            const cell = this.cells.get(key);
+            cell.delete(item);
+            if (cell.size === 0) this.cells.delete(key);
+        }
+
+        this.itemCells.delete(item);
+    }
+
+    /**
+     * Finds the items whose cells overlap a bounding box
+     * The result may include items that don't overlap the box itself.
+     * @param {BoundingBox} bbox - The bounding box to search
+     * @returns {Set<T>} - The candidate items
+     */
+    query(bbox) {
+        const found = new Set();
+
+        for (const key of this.getCellKeys(bbox)) {
+            const cell = this.cells.get(key);
+            if (cell) for (const item of cell) found.add(item);
+        }
+
+        return found;
+    }
+
+    /**
+     * Checks if an item is indexed
+     * @param {T} item - The item to check
+     * @returns {boolean} - True if the item is indexed
+     */
+    has(item) {
+        return this.itemCells.has(item);
+    }
+
+    /**
+     * Removes all items
+     */
+    clear() {
+        this.cells.clear();
+        this.itemCells.clear();
+    }
+}
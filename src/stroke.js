@@ -9,6 +9,9 @@
  */
 
 import { DocumentEditor } from "./document-editor.js";
+import { isDefaultInk } from "./notesvg.js";
+import { flattenPathData, interpolateNodeValue, parsePathData } from "./path-data.js";
+import { DEFAULT_PRESSURE, getPressureWidth, getThemeColors } from "./utils.js";
 
 /**
  * @typedef {Object} ShapeInfoStatic
@@ -40,8 +43,12 @@ import { DocumentEditor } from "./document-editor.js";
  * @typedef { import("./notesvg").SvgNode & { 
  *  renderAttributes?: {
  *      path?: Path2D,
+ *      outline?: Path2D,
  *      points?: Array<Array<number>>,
+ *      polylines?: Array<Array<Array<number>>>,
+ *      bbox?: import("./geometry.js").BoundingBox | null,
  *      shape?: any,
+ *      syncKey?: string,
  *  }, 
  *  children: Array<RenderNode | string> 
  * } } RenderNode
@@ -59,9 +66,11 @@ import { DocumentEditor } from "./document-editor.js";
 
 /**
  * Eraser tool configuration
+ * The "stroke" mode erases whole paths, the "partial" mode cuts them apart.
  * @typedef {{
  *  type: "eraser",
  *  diameter: number,
+ *  mode?: "stroke" | "partial",
  * }} EraserTool
  */
 
@@ -81,6 +90,129 @@ const DEFAULT_TOOL = {
     tolerance: 1.5,
 };
 
+/**
+ * How far the view can be zoomed out, in CSS pixels per document unit
+ * @type {number}
+ */
+const MIN_ZOOM = 0.1;
+
+/**
+ * How far the view can be zoomed in, in CSS pixels per document unit
+ * @type {number}
+ */
+const MAX_ZOOM = 32;
+
+/**
+ * Empty space left between strokes drawn past the page's edge and its new edge
+ * @type {number}
+ */
+const PAGE_GROWTH_MARGIN = 16;
+
+/**
+ * Which part of the document the canvas shows
+ * A document point (x, y) is shown at (x * scale + offsetX, y * scale + offsetY)
+ * in CSS pixels from the canvas's top left corner.
+ * @typedef {{
+ *  offsetX: number,
+ *  offsetY: number,
+ *  scale: number,
+ * }} ViewTransform
+ */
+
+/**
+ * Reads the pressure of a pointer event
+ * Mice and pointers that don't report pressure get the default pressure.
+ * @param {PointerEvent} event - The pointer event
+ * @returns {number} - The pressure between 0 and 1
+ */
+function getPointerPressure(event) {
+    if (event.pointerType === 'mouse' || !event.pressure) return DEFAULT_PRESSURE;
+    return event.pressure;
+}
+
+/**
+ * Computes the signed area of a polygon
+ * @param {Array<Array<number>>} polygon - The polygon's corners
+ * @returns {number} - The signed area
+ */
+function signedArea(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const [x0, y0] = polygon[i];
+        const [x1, y1] = polygon[(i + 1) % polygon.length];
+        area += x0 * y1 - x1 * y0;
+    }
+    return area * 0.5;
+}
+
+/**
+ * Something an outline can be drawn into, such as a Path2D
+ * @typedef {{
+ *  moveTo: function(number, number): void,
+ *  lineTo: function(number, number): void,
+ *  arc: function(number, number, number, number, number): void,
+ *  closePath: function(): void
+ * }} OutlineTarget
+ */
+
+/**
+ * Draws a fillable outline for a path with per-node widths
+ * The outline is the union of a circle at every flattened point and a quad
+ * between consecutive circles, all wound the same way for nonzero filling.
+ * @param {string} d - The path data
+ * @param {Array<number>} widths - The width at each command endpoint
+ * @param {OutlineTarget} outline - Where to draw the outline
+ */
+export function traceVariableWidthOutline(d, widths, outline) {
+    for (const polyline of flattenPathData(parsePathData(d))) {
+        let previous = null;
+
+        for (const [x, y, s] of polyline) {
+            const radius = interpolateNodeValue(widths, s) * 0.5;
+
+            outline.moveTo(x + radius, y);
+            outline.arc(x, y, radius, 0, Math.PI * 2);
+
+            if (previous) {
+                const [px, py, pradius] = previous;
+                const length = Math.hypot(x - px, y - py);
+
+                if (length > 0) {
+                    const nx = -(y - py) / length;
+                    const ny = (x - px) / length;
+
+                    let quad = [
+                        [px + nx * pradius, py + ny * pradius],
+                        [x + nx * radius, y + ny * radius],
+                        [x - nx * radius, y - ny * radius],
+                        [px - nx * pradius, py - ny * pradius],
+                    ];
+                    // Match the winding of the circles so overlaps don't cancel out
+                    if (signedArea(quad) < 0) quad = quad.reverse();
+
+                    outline.moveTo(quad[0][0], quad[0][1]);
+                    for (const corner of quad.slice(1)) outline.lineTo(corner[0], corner[1]);
+                    outline.closePath();
+                }
+            }
+
+            previous = [x, y, radius];
+        }
+    }
+}
+
+/**
+ * Creates a fillable outline for a path with per-node widths
+ * @param {string} d - The path data
+ * @param {Array<number>} widths - The width at each command endpoint
+ * @returns {Path2D} - The outline
+ */
+function createVariableWidthPath(d, widths) {
+    const outline = new Path2D();
+    traceVariableWidthOutline(d, widths, outline);
+    return outline;
+}
+
 /**
  * Handles stroke rendering
  */
@@ -101,8 +233,20 @@ export class StrokeRenderer {
         /** @type {CanvasRenderingContext2D} */
         this.ctxFront = canvasFront.getContext('2d', { alpha: true, desynchronized: false });
         
-        /** @type {Record<number, { tool: Tool, stroke: Array<Array<number>> }>} */
+        /** @type {Record<number, { tool: Tool, stroke: Array<Array<number>> }>} Points are [x, y, pressure] */
         this.liveStrokes = {};
+
+        /** @type {Record<string, { tool: PenTool, stroke: Array<Array<number>> }>} Other people's unfinished strokes */
+        this.remoteStrokes = {};
+
+        /** @type {Array<function(number, PenTool, Array<Array<number>>, boolean): void>} */
+        this.liveStrokeListeners = [];
+
+        /** @type {Array<function(): void>} */
+        this.pageListeners = [];
+
+        /** @type {ViewTransform} */
+        this.view = { offsetX: 0, offsetY: 0, scale: 1 };
         
         /** @type {RenderNode} */
         this.svg = /** @type {RenderNode} */ (svg);
@@ -113,6 +257,10 @@ export class StrokeRenderer {
         /** @type {DocumentEditor} */
         this.documentEditor = new DocumentEditor(svg);
 
+        /** @type {string} */
+        this.inkColor = '#000';
+        this.updateTheme();
+
         // Initialize Ink API if available for reduced latency
         /** @type { InkAPI | undefined } */
         const ink = /** @type { { ink?: InkAPI } } */ (navigator).ink;
@@ -126,37 +274,29 @@ export class StrokeRenderer {
      * Gets the bounding box of a node and its children
      * @param {RenderNode | string} node - The node to get the bounding box for
      * @param {boolean} [recurse=true] - Whether to recursively check children
-     * @returns {Object|null} - The bounding box or null if node is a string
+     * @returns {import("./geometry.js").BoundingBox|null} - The bounding box, or null if the node has no content
      */
     getBoundingBox(node, recurse = true) {
-        if (typeof node === 'string') return null;
-        
-        const bbox = {
-            min: [0, 0],
-            max: [this.svg.noteSvgAttributes.width, this.svg.noteSvgAttributes.height]
-        };
-
-        if (node.tagName === 'path') {
-            node.renderAttributes ||= {};
-            // Path shape is handled by the document editor
-            console.log(node.renderAttributes.shape?.getBoundingBox());
-        }
-
-        if (recurse) {
-            for (const child of node.children || []) {
-                const childBbox = this.getBoundingBox(child);
-                if (childBbox) {
-                    bbox.min[0] = Math.min(bbox.min[0], childBbox.min[0]);
-                    bbox.min[1] = Math.min(bbox.min[1], childBbox.min[1]);
-                    bbox.max[0] = Math.min(bbox.max[0], childBbox.max[0]);
-                    bbox.max[1] = Math.min(bbox.max[1], childBbox.max[1]);
-                }
-            }
-        }
-        
-        return bbox;
+        return this.documentEditor.getBoundingBox(node, recurse);
     }
     
+    /**
+     * Reads the ink color for the current color scheme
+     */
+    updateTheme() {
+        this.inkColor = getThemeColors().stroke;
+    }
+
+    /**
+     * Resolves the color a stroke is displayed with
+     * Default ink follows the color scheme so it stays readable in dark mode.
+     * @param {string} color - The stored stroke color
+     * @returns {string} - The color to draw with
+     */
+    resolveStrokeColor(color) {
+        return isDefaultInk(color) ? this.inkColor : color;
+    }
+
     /**
      * Resizes the canvas to match the SVG dimensions
      * @throws {Error} If the document root is not an SVG node
@@ -174,49 +314,244 @@ export class StrokeRenderer {
         this.ctxBack.canvas.width = this.ctxFront.canvas.width = canvasWidth;
         this.ctxBack.canvas.height = this.ctxFront.canvas.height = canvasHeight;
 
-        this.ctxBack.transform(pixelScale, 0, 0, pixelScale, 0, 0);
-        this.ctxFront.transform(pixelScale, 0, 0, pixelScale, 0, 0);
+        this.applyViewTransform();
+    }
+
+    /**
+     * Sets both canvases to draw in document coordinates through the view transform
+     */
+    applyViewTransform() {
+        const pixelScale = window.devicePixelRatio;
+        const { offsetX, offsetY, scale } = this.view;
+
+        for (const ctx of [this.ctxBack, this.ctxFront]) {
+            ctx.setTransform(pixelScale * scale, 0, 0, pixelScale * scale, pixelScale * offsetX, pixelScale * offsetY);
+        }
+    }
+
+    /**
+     * Changes which part of the document is shown and redraws it
+     * @param {number} offsetX - Where the document's origin is shown, in CSS pixels from the canvas's left
+     * @param {number} offsetY - Where the document's origin is shown, in CSS pixels from the canvas's top
+     * @param {number} scale - The CSS pixels per document unit, clamped to the supported zoom range
+     */
+    setView(offsetX, offsetY, scale) {
+        this.view = { offsetX, offsetY, scale: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale)) };
+        this.applyViewTransform();
+        this.drawBack();
+        this.redrawFront();
+    }
+
+    /**
+     * Shows the document at its actual size from its top left corner
+     */
+    resetView() {
+        this.setView(0, 0, 1);
+    }
+
+    /**
+     * Moves the view along with the pointer
+     * @param {number} dx - How far to move, in CSS pixels
+     * @param {number} dy - How far to move, in CSS pixels
+     */
+    panBy(dx, dy) {
+        const { offsetX, offsetY, scale } = this.view;
+        this.setView(offsetX + dx, offsetY + dy, scale);
+    }
+
+    /**
+     * Zooms the view, keeping the document point under a screen position in place
+     * @param {number} clientX - The screen position's x in client coordinates
+     * @param {number} clientY - The screen position's y in client coordinates
+     * @param {number} factor - How much to zoom, i.e. 2 to double the size
+     */
+    zoomAt(clientX, clientY, factor) {
+        const [x, y] = this.toDocumentPoint(clientX, clientY);
+        const { offsetX, offsetY, scale } = this.view;
+
+        const newScale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale * factor));
+        this.setView(offsetX + x * (scale - newScale), offsetY + y * (scale - newScale), newScale);
+    }
+
+    /**
+     * Converts a position on the screen to document coordinates
+     * @param {number} clientX - The x in client coordinates
+     * @param {number} clientY - The y in client coordinates
+     * @returns {Array<number>} - The point as [x, y] in document coordinates
+     */
+    toDocumentPoint(clientX, clientY) {
+        const rect = this.ctxFront.canvas.getBoundingClientRect();
+        const { offsetX, offsetY, scale } = this.view;
+
+        return [
+            (clientX - rect.left - offsetX) / scale,
+            (clientY - rect.top - offsetY) / scale,
+        ];
+    }
+
+    /**
+     * Clears a canvas, including what lies outside the document
+     * @param {CanvasRenderingContext2D} ctx - The canvas's context
+     */
+    clearCanvas(ctx) {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.restore();
     }
 
     /**
      * Clears the front canvas
      */
     clearFront() {
-        this.ctxFront.clearRect(0, 0,
-            this.ctxFront.canvas.width, this.ctxBack.canvas.height);
+        this.clearCanvas(this.ctxFront);
+    }
+
+    /**
+     * Clears the front canvas and redraws the unfinished pen strokes on it
+     */
+    redrawFront() {
+        this.clearFront();
+
+        for (const id of Object.keys(this.liveStrokes)) {
+            const { tool, stroke } = this.liveStrokes[id];
+            if (tool.type !== 'pen') continue;
+            for (let i = 1; i < stroke.length; i++) this.drawLiveSegment(tool, stroke[i - 1], stroke[i]);
+        }
+        this.drawRemoteStrokes();
+    }
+
+    /**
+     * Draws other people's unfinished strokes on the front canvas
+     */
+    drawRemoteStrokes() {
+        for (const key of Object.keys(this.remoteStrokes)) {
+            const { tool, stroke } = this.remoteStrokes[key];
+            for (let i = 1; i < stroke.length; i++) this.drawLiveSegment(tool, stroke[i - 1], stroke[i]);
+        }
+    }
+
+    /**
+     * Adds points to someone else's unfinished stroke and draws them
+     * @param {string} key - Identifies the stroke among everyone's strokes
+     * @param {PenTool} tool - The pen the stroke is drawn with
+     * @param {Array<Array<number>>} points - The new points as [x, y, pressure]
+     */
+    updateRemoteStroke(key, tool, points) {
+        this.remoteStrokes[key] ||= { tool, stroke: [] };
+        const { stroke } = this.remoteStrokes[key];
+
+        for (const point of points) {
+            if (stroke.length > 0) this.drawLiveSegment(tool, stroke[stroke.length - 1], point);
+            stroke.push(point);
+        }
+    }
+
+    /**
+     * Removes other people's unfinished strokes from the front canvas
+     * @param {string} prefix - Removes the strokes whose keys start with this, e.g. a person's ID
+     */
+    endRemoteStrokes(prefix) {
+        let removed = false;
+        for (const key of Object.keys(this.remoteStrokes)) {
+            if (!key.startsWith(prefix)) continue;
+            delete this.remoteStrokes[key];
+            removed = true;
+        }
+
+        if (removed) this.redrawFront();
+    }
+
+    /**
+     * Registers a listener called as the user's pen strokes are drawn
+     * @param {function(number, PenTool, Array<Array<number>>, boolean): void} listener - The
+     *  listener to add, called with the pointer ID, the pen, the new points and whether the
+     *  stroke is finished
+     */
+    addLiveStrokeListener(listener) {
+        this.liveStrokeListeners.push(listener);
+    }
+
+    /**
+     * Registers a listener called when drawing past the page's edge grows the page
+     * @param {function(): void} listener - The listener to add
+     */
+    addPageListener(listener) {
+        this.pageListeners.push(listener);
+    }
+
+    /**
+     * Notifies all live stroke listeners of new points in a pen stroke
+     * @param {number} id - The pointer ID
+     * @param {Tool} tool - The tool the stroke is drawn with
+     * @param {Array<Array<number>>} points - The new points as [x, y, pressure]
+     * @param {boolean} done - Whether the stroke is finished
+     */
+    notifyLiveStroke(id, tool, points, done) {
+        if (tool.type !== 'pen') return;
+        for (const listener of this.liveStrokeListeners) listener(id, tool, points, done);
     }
 
     /**
      * Clears and redraws the back canvas with all completed strokes
      */
     drawBack() {
-        this.ctxBack.clearRect(0, 0, 
-            this.ctxBack.canvas.width, this.ctxBack.canvas.height);
+        this.clearCanvas(this.ctxBack);
+        this.drawPageOutline();
         this.drawNode(this.svg);
     }
+
+    /**
+     * Outlines the document's page once the view has moved, since only what's on it is exported
+     */
+    drawPageOutline() {
+        const { offsetX, offsetY, scale } = this.view;
+        if (offsetX === 0 && offsetY === 0 && scale === 1) return;
+
+        const ctx = this.ctxBack;
+        ctx.save();
+        ctx.setLineDash([4 / scale, 4 / scale]);
+        ctx.lineWidth = 1 / scale;
+        ctx.strokeStyle = this.inkColor;
+        ctx.globalAlpha = 0.5;
+        ctx.strokeRect(0, 0, this.svg.noteSvgAttributes.width, this.svg.noteSvgAttributes.height);
+        ctx.restore();
+    }
     
     /**
      * Draws a node and optionally its children to the back canvas
      * @param {RenderNode | string} node - The node to draw
      * @param {boolean} [recurse=true] - Whether to recursively draw children
+     * @param {CanvasRenderingContext2D} [ctx=this.ctxBack] - The context to draw to
      */
-    drawNode(node, recurse = true) {
+    drawNode(node, recurse = true, ctx = this.ctxBack) {
         if (typeof node === "string") return;
 
-        this.ctxBack.lineCap = 'round';
-        this.ctxBack.lineJoin = 'round';
-        // Don't set fillStyle here as it's not used for paths
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
 
         switch (node.tagName) {
             case "path":
                 node.renderAttributes ||= {};
                 node.renderAttributes.path ||= new Path2D(node.attributes.d); // cache path if there
 
-                // Set stroke style based on node attributes or default to black
-                this.ctxBack.beginPath();
-                this.ctxBack.strokeStyle = '#000';
-                this.ctxBack.lineWidth = node.noteSvgAttributes?.strokeWidth || 2;
-                this.ctxBack.stroke(node.renderAttributes.path);
+                // Set stroke style based on node attributes or default to the ink color
+                ctx.beginPath();
+                ctx.globalAlpha = node.noteSvgAttributes?.strokeOpacity ?? 1;
+
+                if (node.noteSvgAttributes?.widths?.length) {
+                    // Variable-width strokes are filled outlines
+                    node.renderAttributes.outline ||= createVariableWidthPath(
+                        node.attributes.d, node.noteSvgAttributes.widths);
+                    ctx.fillStyle = this.resolveStrokeColor(node.noteSvgAttributes.stroke);
+                    ctx.fill(node.renderAttributes.outline);
+                } else {
+                    ctx.strokeStyle = this.resolveStrokeColor(node.noteSvgAttributes?.stroke);
+                    ctx.lineWidth = node.noteSvgAttributes?.strokeWidth || 2;
+                    ctx.stroke(node.renderAttributes.path);
+                }
+
+                ctx.globalAlpha = 1;
                 break;
 
             default:
@@ -224,13 +559,52 @@ export class StrokeRenderer {
         }
 
         if (recurse) 
-            for (const child of node.children || []) this.drawNode(child);
+            for (const child of node.children || []) this.drawNode(child, true, ctx);
+    }
+
+    /**
+     * Draws the whole document to a new canvas, i.e. for exporting a bitmap
+     * @param {number} [scale=1] - The number of pixels per document unit
+     * @param {string | null} [background=null] - The background color, or null for transparent
+     * @returns {HTMLCanvasElement} - The canvas
+     */
+    renderToCanvas(scale = 1, background = null) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(this.svg.noteSvgAttributes.width * scale));
+        canvas.height = Math.max(1, Math.round(this.svg.noteSvgAttributes.height * scale));
+
+        const ctx = canvas.getContext('2d');
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        ctx.scale(scale, scale);
+        this.drawNode(this.svg, true, ctx);
+        return canvas;
+    }
+
+    /**
+     * Draws a segment of an unfinished pen stroke on the front canvas
+     * @param {PenTool} tool - The pen
+     * @param {Array<number>} start - The segment's start as [x, y, pressure]
+     * @param {Array<number>} end - The segment's end as [x, y, pressure]
+     */
+    drawLiveSegment(tool, start, end) {
+        this.ctxFront.beginPath();
+        this.ctxFront.moveTo(start[0], start[1]);
+        this.ctxFront.lineTo(end[0], end[1]);
+        this.ctxFront.strokeStyle = this.resolveStrokeColor(tool.color);
+        this.ctxFront.lineWidth = getPressureWidth(tool.diameter,
+            ((start[2] ?? DEFAULT_PRESSURE) + (end[2] ?? DEFAULT_PRESSURE)) * 0.5);
+        this.ctxFront.lineCap = 'round';
+        this.ctxFront.stroke();
     }
 
     /**
      * Draws the difference between the previous and current stroke position
      * @param {Tool} tool - The tool being used
-     * @param {Array<Array<number>>} stroke - The stroke points
+     * @param {Array<Array<number>>} stroke - The stroke points as [x, y, pressure]
      */
     drawStrokeDiff(tool, stroke, pointerEvent = null) {
         if (stroke.length < 2) return;
@@ -241,17 +615,15 @@ export class StrokeRenderer {
                 // Draw line segment from last point in stroke to new point on front buffer
                 const latestEnd = stroke[stroke.length - 1];
                 
-                this.ctxFront.beginPath();
-                this.ctxFront.moveTo(latestStart[0], latestStart[1]);
-                this.ctxFront.lineTo(latestEnd[0], latestEnd[1]);
-                this.ctxFront.strokeStyle = tool.color;
-                this.ctxFront.lineWidth = tool.diameter;
-                this.ctxFront.stroke();
+                this.drawLiveSegment(tool, latestStart, latestEnd);
 
                 if (this.inkPresenter && pointerEvent) {
                     this.inkPresenter.then((presenter) => {
-                        presenter.updateInkTrailStartPoint(pointerEvent, 
-                            { color: tool.color, diameter: tool.diameter });
+                        // The ink trail is drawn on the screen, so it's scaled like the view
+                        presenter.updateInkTrailStartPoint(pointerEvent, {
+                            color: this.resolveStrokeColor(tool.color),
+                            diameter: tool.diameter * this.view.scale
+                        });
                     })
                 }
                 break;
@@ -260,14 +632,14 @@ export class StrokeRenderer {
                 const latestEnd = stroke[stroke.length - 1];
 
                 this.clearFront();
-                // Draw a circle for erasers
-                this.ctxFront.clearRect(0, 0, 
-                    this.ctxFront.canvas.width, this.ctxFront.canvas.height);
+                this.drawRemoteStrokes();
+
+                // Draw a circle for erasers, with an outline that stays as thick at any zoom
                 this.ctxFront.beginPath();
                 this.ctxFront.arc(latestEnd[0], latestEnd[1], 
                     this.tool.diameter * 0.5, 0, Math.PI * 2);
-                this.ctxFront.lineWidth = 2.0;
-                this.ctxFront.strokeStyle = '#000';
+                this.ctxFront.lineWidth = 2.0 / this.view.scale;
+                this.ctxFront.strokeStyle = this.inkColor;
                 this.ctxFront.stroke();
                 break;
             }
@@ -280,27 +652,48 @@ export class StrokeRenderer {
      * @param {PointerEvent} event - The pointer event
      */
     beginStroke(id, event) {
-        const rect = this.ctxFront.canvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
+        // Strokes are recorded in document coordinates, whatever the view
+        const [x, y] = this.toDocumentPoint(event.clientX, event.clientY);
         
         const stroke = [];
         this.liveStrokes[id] = { tool: this.tool, stroke };
 
-        stroke.push([x, y]);
+        stroke.push([x, y, getPointerPressure(event)]);
+        this.notifyLiveStroke(id, this.tool, stroke.slice(), false);
+
+        if (this.tool.type === 'eraser') {
+            // Group every segment of an eraser drag into a single undo step
+            this.documentEditor.history.beginGroup();
+
+            // Erase under the eraser's circle right away, so that tapping erases too
+            this.eraseSegment(this.tool, [x, y], [x, y]);
+        }
 
         this.drawStrokeDiff(this.tool, stroke);
     }
 
+    /**
+     * Erases what an eraser covers along a segment and redraws if anything changed
+     * @param {EraserTool} tool - The eraser tool
+     * @param {Array<number>} start - The start point of the segment
+     * @param {Array<number>} end - The end point of the segment
+     */
+    eraseSegment(tool, start, end) {
+        // Process eraser stroke using the document editor
+        const removed = tool.mode === 'partial'
+            ? this.documentEditor.processPartialEraserStroke(start, end, tool.diameter)
+            : this.documentEditor.processEraserStroke(start, end, tool.diameter);
+
+        if (removed.length > 0) this.drawBack();
+    }
+
     /**
      * Updates a stroke as the pointer moves
      * @param {number} id - The pointer ID
      * @param {PointerEvent} event - The pointer event
      */
     moveStroke(id, event) {
-        const rect = this.ctxFront.canvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
+        const [x, y] = this.toDocumentPoint(event.clientX, event.clientY);
         
         const { stroke, tool } = this.liveStrokes[id] || {};
         if (!stroke) return;
@@ -308,15 +701,11 @@ export class StrokeRenderer {
         if (tool?.type === 'eraser') {
             const latestStart = stroke[Math.max(0, stroke.length - 1)];
             
-            if (latestStart) {
-                // Process eraser stroke using the document editor
-                const removed = this.documentEditor.processEraserStroke(latestStart, [x, y]);
-
-                if (removed.length > 0) this.drawBack();
-            }
+            if (latestStart) this.eraseSegment(tool, latestStart, [x, y]);
         }
 
-        stroke.push([x, y]);
+        stroke.push([x, y, getPointerPressure(event)]);
+        this.notifyLiveStroke(id, tool, stroke.slice(-1), false);
         this.drawStrokeDiff(tool, stroke, event);
     }
 
@@ -329,24 +718,56 @@ export class StrokeRenderer {
         this.moveStroke(id, event);
 
         // Get the stroke and tool
-        const { stroke = null, tool = null } = this.liveStrokes[id];
+        const { stroke = null, tool = null } = this.liveStrokes[id] || {};
         if (!stroke) return;
         
         // Handle different tool types
+        let moved = null;
         if (tool.type === "pen" && stroke.length >= 2) {
-            // Delegate to document editor
-            this.documentEditor.finalizePenStroke(stroke, tool);
+            // Drawing past the page's edge grows the page, in the same undo step as the stroke
+            const history = this.documentEditor.history;
+            history.beginGroup();
+            try {
+                this.documentEditor.finalizePenStroke(stroke, tool);
+                moved = this.documentEditor.growToContent(PAGE_GROWTH_MARGIN);
+            } finally {
+                history.endGroup();
+            }
         } 
         // For eraser, we've already removed the intersecting paths during moveStroke
-        // No need to add a new path to the document
-
-        // Clear the front buffer
-        this.ctxFront.clearRect(0, 0, 
-            this.ctxFront.canvas.width, this.ctxFront.canvas.height);
+        // No need to add a new path to the document, just close the undo group
+        if (tool.type === "eraser") this.documentEditor.history.endGroup();
 
         delete this.liveStrokes[id];
+        this.notifyLiveStroke(id, tool, [], true);
+
+        if (moved) {
+            // Keep the strokes where they were on the screen, now that the page's origin moved
+            const { offsetX, offsetY, scale } = this.view;
+            this.view = { offsetX: offsetX - moved[0] * scale, offsetY: offsetY - moved[1] * scale, scale };
+            for (const listener of this.pageListeners) listener();
+        }
+
+        // Clear the stroke from the front buffer, keeping other unfinished strokes
+        this.redrawFront();
 
         // Trigger back buffer render
         this.drawBack();
     }
+
+    /**
+     * Drops a stroke without adding it to the document, i.e. when it turns out to be a gesture
+     * An eraser's erasing so far is kept as an undo step.
+     * @param {number} id - The pointer ID
+     */
+    cancelStroke(id) {
+        const { tool = null } = this.liveStrokes[id] || {};
+        if (!tool) return;
+
+        if (tool.type === "eraser") this.documentEditor.history.endGroup();
+
+        delete this.liveStrokes[id];
+        this.notifyLiveStroke(id, tool, [], true);
+        this.redrawFront();
+    }
 }
@@ -0,0 +1,702 @@
+/**
+ * Live synchronization for the note.svg application
+ *
+ * This module keeps the open note in step between editors, such as several
+ * tabs of the app or people drawing together through a WebSocket relay.
+ * Local commands are sent as operations on the note's paths, and operations
+ * from elsewhere are applied as external commands, so they show up right
+ * away without becoming local undo steps. Pen strokes are also sent while
+ * they are drawn, so others see them before they are finished.
+ *
+ * Paths are never edited in place; the editor replaces them instead. A path is
+ * therefore identified by its serialized markup, and the paths of a note form
+ * a set. When editors meet, they exchange their paths and the paths they
+ * removed, and both end up with every path that neither of them removed, so
+ * concurrent edits merge instead of overwriting each other.
+ *
+ * Other editors aren't trusted: what they send is saved and exported like
+ * the user's own strokes. Paths are rebuilt from the attributes a note.svg
+ * path may have, sizes must be numbers, and whole documents are sent as SVG
+ * for the app to load like any other file.
+ */
+
+import { AddNodeCommand, CompositeCommand, RemoveNodeCommand, SetAttributesCommand } from "./history.js";
+import { toSvg, toSvgDocument } from "./notesvg.js";
+import { parsePathData } from "./path-data.js";
+
+/**
+ * @typedef {import("./stroke.js").RenderNode} RenderNode
+ * @typedef {import("./history.js").Command} Command
+ * @typedef {import("./document-editor.js").DocumentEditor} DocumentEditor
+ * @typedef {import("./stroke.js").PenTool} PenTool
+ */
+
+/**
+ * A change to a note's paths or size
+ * @typedef {{type: "add", node: RenderNode, after: string|null}
+ *  | {type: "remove", key: string}
+ *  | {type: "attributes", values: Record<string, any>}} SyncOperation
+ */
+
+/**
+ * A message between editors of the same note
+ * "hello" and "state" carry the sender's paths and the paths it removed;
+ * an editor answers "hello" with "state". A "state" that replaces the note
+ * carries the whole document as SVG instead. "live" carries new points of an
+ * unfinished pen stroke, and "leave" says an editor is gone.
+ * @typedef {Object} SyncMessage
+ * @property {"hello" | "state" | "ops" | "live" | "leave"} type - The kind of message
+ * @property {string} from - The sending editor's ID
+ * @property {string} noteId - The note the message is about
+ * @property {Array<SyncOperation>} [ops] - The operations, for "ops"
+ * @property {Array<RenderNode>} [paths] - The sender's paths, for "hello" and "state"
+ * @property {Array<string>} [removed] - Keys of the paths the sender removed, for "hello" and "state"
+ * @property {string} [svg] - The sender's document as SVG, for a "state" that replaces the note
+ * @property {number} [strokeId] - Identifies the stroke among the sender's strokes, for "live"
+ * @property {PenTool} [tool] - The pen the stroke is drawn with, for "live"
+ * @property {Array<Array<number>>} [points] - The stroke's new points as [x, y, pressure], for "live"
+ * @property {boolean} [done] - Whether the stroke is finished, for "live"
+ */
+
+/**
+ * Carries sync messages between editors
+ * Any object with these methods can be used, e.g. to sync over another kind of connection.
+ * @typedef {Object} SyncTransport
+ * @property {function(SyncMessage): void} send - Sends a message to the other editors
+ * @property {function(function(SyncMessage): void): void} addListener - Registers a
+ *  listener for messages from the other editors
+ * @property {function(function(): void): void} [addConnectListener] - Registers a listener
+ *  called when the transport reconnects, after which the other editors may have missed changes
+ * @property {function(): void} close - Stops sending and receiving messages
+ */
+
+/**
+ * What the app is told when a note changes elsewhere
+ * @typedef {Object} SyncCallbacks
+ * @property {function(boolean): void} onChange - Called after changes were applied, with
+ *  whether the note's size changed
+ * @property {function(string): void} onReplace - Called with the SVG of the document that replaces
+ *  the note, which hasn't been checked yet
+ * @property {function(string, PenTool, Array<Array<number>>, boolean): void} [onLiveStroke] - Called
+ *  with new points of someone's unfinished stroke: a key made of the editor's ID and the stroke's,
+ *  the pen, the points and whether the stroke is finished
+ * @property {function(string): void} [onLeave] - Called with the ID of an editor that is gone
+ */
+
+/**
+ * Name of the channel tabs of the app talk on
+ * @type {string}
+ */
+const TAB_CHANNEL_NAME = 'notesvg-sync';
+
+/**
+ * localStorage key messages are written to when BroadcastChannel isn't available
+ * @type {string}
+ */
+const TAB_STORAGE_KEY = 'notesvg-sync';
+
+/**
+ * Longest wait between attempts to reconnect to a relay, in milliseconds
+ * @type {number}
+ */
+const MAX_RECONNECT_DELAY = 30000;
+
+/**
+ * Creates a unique editor ID
+ * @returns {string} - The ID
+ */
+function createEditorId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+/**
+ * Matches the stroke colors a path from another editor may have: hex colors
+ * and color names, but nothing that could load a resource
+ * @type {RegExp}
+ */
+const STROKE_COLOR_PATTERN = /^(#([0-9a-f]{3}|[0-9a-f]{6})|[a-z]+)$/i;
+
+/**
+ * Checks if a value is a finite number at least as large as a minimum
+ * @param {any} value - The value
+ * @param {number} min - The minimum
+ * @returns {boolean} - True if the value is such a number
+ */
+function isNumberFrom(value, min) {
+    return typeof value === 'number' && isFinite(value) && value >= min;
+}
+
+/**
+ * Copies a path, keeping only what a note.svg path may have
+ * That is d, stroke, stroke-width, stroke-opacity and data-widths on a
+ * childless path, along with fill="none", which the editor gives every
+ * stroke. Used on every path from another editor before it reaches the note.
+ * @param {any} node - The path
+ * @returns {RenderNode|null} - The copy, or null if the path isn't valid
+ */
+export function sanitizePath(node) {
+    if (!node || typeof node !== 'object' || node.tagName !== 'path') return null;
+    if (node.children !== undefined && !(Array.isArray(node.children) && node.children.length === 0)) return null;
+
+    const { d, fill } = node.attributes || {};
+    const { stroke, strokeWidth, strokeOpacity, widths } = node.noteSvgAttributes || {};
+    if (typeof d !== 'string' || typeof stroke !== 'string' || !isNumberFrom(strokeWidth, 0)) return null;
+    if (!STROKE_COLOR_PATTERN.test(stroke)) return null;
+    if (strokeOpacity !== undefined && !(isNumberFrom(strokeOpacity, 0) && strokeOpacity <= 1)) return null;
+    if (widths !== undefined && !(Array.isArray(widths) && widths.every((width) => isNumberFrom(width, 0)))) return null;
+    try {
+        parsePathData(d);
+    } catch (error) {
+        return null;
+    }
+
+    /** @type {Record<string, any>} */
+    const noteSvgAttributes = { stroke, strokeWidth };
+    if (strokeOpacity !== undefined) noteSvgAttributes.strokeOpacity = strokeOpacity;
+    if (widths !== undefined) noteSvgAttributes.widths = widths.slice();
+
+    return {
+        tagName: 'path',
+        attributes: fill === 'none' ? { d, fill } : { d },
+        noteSvgAttributes,
+        children: []
+    };
+}
+
+/**
+ * Copies a size change, keeping only a positive numeric width and height
+ * @param {any} values - The changed document attributes
+ * @returns {Record<string, number>} - The width and height that are valid, if any
+ */
+export function sanitizeSize(values) {
+    /** @type {Record<string, number>} */
+    const size = {};
+    for (const name of ['width', 'height']) {
+        if (isNumberFrom(values?.[name], 0) && values[name] > 0) size[name] = values[name];
+    }
+    return size;
+}
+
+/**
+ * Gets the key a path is identified by
+ * Keys are made from the path as other editors receive it, so that every
+ * editor gives the same path the same key.
+ * @param {RenderNode} node - The path
+ * @returns {string} - The key
+ */
+function getPathKey(node) {
+    node.renderAttributes ||= {};
+    node.renderAttributes.syncKey ||= toSvg(sanitizePath(node) || node);
+    return node.renderAttributes.syncKey;
+}
+
+/**
+ * Checks if a child is a path drawn directly in the document
+ * @param {RenderNode | string} node - The child
+ * @returns {node is RenderNode} - True if the child is a path
+ */
+function isPath(node) {
+    return typeof node !== 'string' && node.tagName === 'path';
+}
+
+/**
+ * Sends sync messages between tabs of the app
+ * Uses BroadcastChannel where available, and storage events otherwise.
+ * @implements {SyncTransport}
+ */
+export class TabTransport {
+    constructor() {
+        /** @type {Array<function(SyncMessage): void>} */
+        this.listeners = [];
+
+        /** @type {BroadcastChannel|null} */
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(TAB_CHANNEL_NAME) : null;
+
+        if (this.channel) {
+            this.channel.onmessage = (e) => this.receive(e.data);
+        } else {
+            this.onStorage = (/** @type {StorageEvent} */ e) => {
+                if (e.key !== TAB_STORAGE_KEY || !e.newValue) return;
+                try {
+                    this.receive(JSON.parse(e.newValue).message);
+                } catch (error) {
+                    console.error('Failed to read a sync message:', error);
+                }
+            };
+            window.addEventListener('storage', this.onStorage);
+        }
+    }
+
+    /**
+     * Sends a message to the other tabs
+     * @param {SyncMessage} message - The message
+     */
+    send(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+
+        try {
+            // Storage events only fire when the value changes, so every message gets a nonce
+            localStorage.setItem(TAB_STORAGE_KEY, JSON.stringify({ nonce: createEditorId(), message }));
+        } catch (error) {
+            console.error('Failed to send a sync message:', error);
+        }
+    }
+
+    /**
+     * Registers a listener for messages from the other tabs
+     * @param {function(SyncMessage): void} listener - The listener to add
+     */
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Passes a received message to the listeners
+     * @param {SyncMessage} message - The message
+     */
+    receive(message) {
+        for (const listener of this.listeners) listener(message);
+    }
+
+    /**
+     * Stops sending and receiving messages
+     */
+    close() {
+        if (this.channel) this.channel.close();
+        else window.removeEventListener('storage', this.onStorage);
+        this.listeners = [];
+    }
+}
+
+/**
+ * Sends sync messages through a WebSocket relay, such as relay/relay.js
+ * Messages sent while disconnected are queued, and the connection is retried
+ * with a growing delay until the transport is closed.
+ * @implements {SyncTransport}
+ */
+export class WebSocketTransport {
+    /**
+     * Creates a new WebSocketTransport instance and connects it
+     * @param {string} url - The relay's URL, including the room to join
+     */
+    constructor(url) {
+        this.url = url;
+
+        /** @type {Array<function(SyncMessage): void>} */
+        this.listeners = [];
+
+        /** @type {Array<function(): void>} */
+        this.connectListeners = [];
+
+        /** @type {Array<string>} */
+        this.queue = [];
+
+        /** @type {WebSocket|null} */
+        this.socket = null;
+
+        this.closed = false;
+        this.connected = false;
+        this.reconnectDelay = 1000;
+        this.connect();
+    }
+
+    /**
+     * Opens the connection, retrying if it fails or drops
+     */
+    connect() {
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            const reconnected = this.connected;
+            this.connected = true;
+            this.reconnectDelay = 1000;
+
+            for (const data of this.queue) socket.send(data);
+            this.queue = [];
+
+            if (reconnected) for (const listener of this.connectListeners) listener();
+        };
+        socket.onmessage = (e) => {
+            try {
+                const message = JSON.parse(e.data);
+                for (const listener of this.listeners) listener(message);
+            } catch (error) {
+                console.error('Failed to read a sync message:', error);
+            }
+        };
+        socket.onclose = () => {
+            if (this.closed) return;
+
+            console.warn(`Lost the connection to ${this.url}; retrying in ${this.reconnectDelay / 1000}s`);
+            setTimeout(() => {
+                if (!this.closed) this.connect();
+            }, this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+        };
+    }
+
+    /**
+     * Sends a message to the other editors in the room
+     * @param {SyncMessage} message - The message
+     */
+    send(message) {
+        const data = JSON.stringify(message);
+        if (this.socket?.readyState === WebSocket.OPEN) this.socket.send(data);
+        else this.queue.push(data);
+    }
+
+    /**
+     * Registers a listener for messages from the other editors
+     * @param {function(SyncMessage): void} listener - The listener to add
+     */
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Registers a listener called when the connection is restored after dropping
+     * @param {function(): void} listener - The listener to add
+     */
+    addConnectListener(listener) {
+        this.connectListeners.push(listener);
+    }
+
+    /**
+     * Closes the connection
+     */
+    close() {
+        this.closed = true;
+        this.socket?.close();
+        this.listeners = [];
+        this.connectListeners = [];
+    }
+}
+
+/**
+ * Keeps the open note in step with other editors of the same note
+ */
+export class NoteSync {
+    /**
+     * Creates a new NoteSync instance
+     * @param {DocumentEditor} documentEditor - The editor of the open note
+     * @param {SyncTransport} transport - Carries messages to the other editors
+     * @param {SyncCallbacks} callbacks - What to do when the note changes elsewhere
+     */
+    constructor(documentEditor, transport, callbacks) {
+        this.documentEditor = documentEditor;
+        this.transport = transport;
+        this.callbacks = callbacks;
+
+        /** @type {string} */
+        this.id = createEditorId();
+
+        /** @type {string|null} */
+        this.noteId = null;
+
+        /**
+         * Keys of the paths removed from the open note, so that merging doesn't bring them back
+         * @type {Set<string>}
+         */
+        this.removed = new Set();
+
+        /** @type {Array<SyncOperation>} */
+        this.pending = [];
+
+        /** @type {function(Command, boolean, boolean): void} */
+        this.onCommand = (command, reverted, external) => {
+            if (!external) this.recordCommand(command, reverted);
+        };
+        documentEditor.history.addCommandListener(this.onCommand);
+        transport.addListener((message) => this.receive(message));
+
+        // Catch up with what was missed while disconnected
+        transport.addConnectListener?.(() => {
+            if (this.noteId) this.send({ type: 'hello', ...this.getState() });
+        });
+    }
+
+    /**
+     * The document being edited
+     * @type {RenderNode}
+     */
+    get document() {
+        return this.documentEditor.document;
+    }
+
+    /**
+     * Starts syncing a note, merging it with the other editors' copies
+     * Call this whenever a different note is opened.
+     * @param {string} noteId - The open note's ID
+     */
+    open(noteId) {
+        this.noteId = noteId;
+        this.removed.clear();
+        this.pending = [];
+
+        this.send({ type: 'hello', ...this.getState() });
+    }
+
+    /**
+     * Tells the other editors that the open note was replaced, e.g. by a loaded file
+     */
+    publishDocument() {
+        if (!this.noteId) return;
+
+        this.removed.clear();
+        this.send({ type: 'state', svg: toSvgDocument(this.document) });
+    }
+
+    /**
+     * Sends new points of one of the user's unfinished pen strokes
+     * @param {number} strokeId - Identifies the stroke among the user's strokes, e.g. the pointer ID
+     * @param {PenTool} tool - The pen the stroke is drawn with
+     * @param {Array<Array<number>>} points - The new points as [x, y, pressure]
+     * @param {boolean} done - Whether the stroke is finished
+     */
+    sendLiveStroke(strokeId, tool, points, done) {
+        if (!this.noteId) return;
+
+        const message = {
+            type: /** @type {"live"} */ ('live'),
+            strokeId,
+            tool: { type: tool.type, color: tool.color, diameter: tool.diameter, tolerance: tool.tolerance },
+            points,
+            done
+        };
+
+        // Finished strokes are sent after the operation that adds the path, so they don't flicker
+        if (done) Promise.resolve().then(() => this.send(message));
+        else this.send(message);
+    }
+
+    /**
+     * Stops syncing, telling the other editors this one is gone
+     */
+    close() {
+        if (this.noteId) this.send({ type: 'leave' });
+
+        this.noteId = null;
+        this.documentEditor.history.removeCommandListener(this.onCommand);
+        this.transport.close();
+    }
+
+    /**
+     * Sends a message about the open note
+     * @param {Partial<SyncMessage>} message - The message, without the sender and note
+     */
+    send(message) {
+        this.transport.send(/** @type {SyncMessage} */ ({ ...message, from: this.id, noteId: this.noteId }));
+    }
+
+    /**
+     * Gets the open note's paths and removed paths, for merging
+     * @returns {{paths: Array<RenderNode>, removed: Array<string>}} - The state
+     */
+    getState() {
+        return {
+            paths: this.document.children.filter(isPath).map(sanitizePath).filter(Boolean),
+            removed: Array.from(this.removed)
+        };
+    }
+
+    /**
+     * Records the operations a local command made, to send them shortly
+     * @param {Command} command - The command
+     * @param {boolean} reverted - Whether the command was reverted
+     */
+    recordCommand(command, reverted) {
+        if (!this.noteId) return;
+
+        if (command instanceof CompositeCommand) {
+            const commands = reverted ? command.commands.slice().reverse() : command.commands;
+            for (const child of commands) this.recordCommand(child, reverted);
+            return;
+        }
+
+        if (command instanceof SetAttributesCommand) {
+            if (command.node === this.document) {
+                this.queue({ type: 'attributes', values: reverted ? command.previous : command.values });
+            } else if (command.node.renderAttributes) {
+                // The path's markup changed, so it gets a new key
+                delete command.node.renderAttributes.syncKey;
+            }
+            return;
+        }
+
+        if (!(command instanceof AddNodeCommand || command instanceof RemoveNodeCommand)) return;
+        if (command.parent !== this.document || !isPath(command.node)) return;
+
+        const added = (command instanceof AddNodeCommand) !== reverted;
+        const key = getPathKey(command.node);
+
+        if (added) {
+            this.removed.delete(key);
+
+            // Send the path after the one it follows, so stacking order is kept
+            const paths = this.document.children.filter(isPath);
+            const index = paths.indexOf(command.node);
+            const after = index > 0 ? getPathKey(paths[index - 1]) : null;
+            const node = sanitizePath(command.node);
+            if (node) this.queue({ type: 'add', node, after });
+        } else {
+            this.removed.add(key);
+            this.queue({ type: 'remove', key });
+        }
+    }
+
+    /**
+     * Queues an operation, sending all operations queued in the same task together
+     * @param {SyncOperation} operation - The operation
+     */
+    queue(operation) {
+        this.pending.push(operation);
+        if (this.pending.length > 1) return;
+
+        Promise.resolve().then(() => {
+            const ops = this.pending;
+            this.pending = [];
+            if (ops.length > 0 && this.noteId) this.send({ type: 'ops', ops });
+        });
+    }
+
+    /**
+     * Handles a message from another editor
+     * @param {SyncMessage} message - The message
+     */
+    receive(message) {
+        if (!message || message.from === this.id || !this.noteId || message.noteId !== this.noteId) return;
+
+        try {
+            if (message.type === 'ops') {
+                this.applyOperations(Array.isArray(message.ops) ? message.ops : []);
+            } else if (message.type === 'live') {
+                this.callbacks.onLiveStroke?.(`${message.from}:${message.strokeId}`,
+                    message.tool, message.points || [], Boolean(message.done));
+            } else if (message.type === 'leave') {
+                this.callbacks.onLeave?.(message.from);
+            } else if (typeof message.svg === 'string') {
+                this.callbacks.onReplace(message.svg);
+                this.removed.clear();
+            } else if (message.type === 'hello' || message.type === 'state') {
+                this.merge(Array.isArray(message.paths) ? message.paths : [],
+                    Array.isArray(message.removed) ? message.removed : []);
+
+                // Answer newcomers, so they get what this editor has
+                if (message.type === 'hello') this.send({ type: 'state', ...this.getState() });
+            }
+        } catch (error) {
+            console.error('Failed to apply changes from another editor:', error);
+        }
+    }
+
+    /**
+     * Finds a path in the document by its key
+     * @param {string} key - The path's key
+     * @returns {RenderNode|null} - The path, or null if the document doesn't have it
+     */
+    findPath(key) {
+        const path = this.document.children.find((child) => isPath(child) && getPathKey(child) === key);
+        return /** @type {RenderNode} */ (path) || null;
+    }
+
+    /**
+     * Adds a path from another editor, unless the document already has it
+     * @param {RenderNode} node - The path, already sanitized
+     * @param {string|null} after - The key of the path it follows
+     * @returns {boolean} - True if the path was added
+     */
+    addPath(node, after) {
+        if (this.findPath(getPathKey(node))) return false;
+
+        const previous = after === null ? null : this.findPath(after);
+        let index = -1;
+        if (previous) {
+            index = this.document.children.indexOf(previous) + 1;
+        } else if (after === null) {
+            // The path comes first among the paths, so keep it after any metadata
+            const first = this.document.children.find(isPath);
+            if (first) index = this.document.children.indexOf(first);
+        }
+
+        this.documentEditor.history.applyExternal(new AddNodeCommand(this.document, node, index));
+        return true;
+    }
+
+    /**
+     * Removes a path another editor removed
+     * @param {string} key - The path's key
+     * @returns {boolean} - True if the path was removed
+     */
+    removePath(key) {
+        this.removed.add(key);
+
+        const node = this.findPath(key);
+        if (!node) return false;
+
+        this.documentEditor.history.applyExternal(new RemoveNodeCommand(this.document, node));
+        return true;
+    }
+
+    /**
+     * Applies operations from another editor
+     * @param {Array<SyncOperation>} ops - The operations
+     */
+    applyOperations(ops) {
+        let changed = false;
+        let resized = false;
+
+        for (const op of ops) {
+            if (!op) continue;
+
+            if (op.type === 'add') {
+                const node = sanitizePath(op.node);
+                if (!node) continue;
+
+                this.removed.delete(getPathKey(node));
+                changed = this.addPath(node, typeof op.after === 'string' ? op.after : null) || changed;
+            } else if (op.type === 'remove') {
+                if (typeof op.key === 'string') changed = this.removePath(op.key) || changed;
+            } else if (op.type === 'attributes') {
+                const size = sanitizeSize(op.values);
+                if (Object.keys(size).length === 0) continue;
+
+                this.documentEditor.history.applyExternal(new SetAttributesCommand(this.document, size));
+                changed = resized = true;
+            }
+        }
+
+        if (changed) this.callbacks.onChange(resized);
+    }
+
+    /**
+     * Merges another editor's copy of the note into this one
+     * The result has every path either copy has, except those either editor removed.
+     * @param {Array<RenderNode>} paths - The other editor's paths
+     * @param {Array<string>} removed - Keys of the paths the other editor removed
+     */
+    merge(paths, removed) {
+        let changed = false;
+
+        for (const key of removed) {
+            if (typeof key === 'string') changed = this.removePath(key) || changed;
+        }
+
+        let after = null;
+        for (const path of paths) {
+            const node = sanitizePath(path);
+            if (!node) continue;
+
+            const key = getPathKey(node);
+            if (!this.removed.has(key)) changed = this.addPath(node, after) || changed;
+            after = key;
+        }
+
+        if (changed) this.callbacks.onChange(false);
+    }
+}
@@ -3,54 +3,213 @@
  */
 
 import { StrokeRenderer } from "./stroke.js";
-import { toSvg } from "./notesvg.js";
-import { downloadBlob, isValidSvg, parseSizeString, saveToLocalStorage } from "./utils.js";
-
-/**
- * Link element to add to exported SVGs
- * @type {Object}
- */
-const LINK_ELEMENT = {
-    tagName: 'a',
-    attributes: {
-        href: window.location.pathname,
-        target: "_blank"
-    },
-    children: [
-        {
-            tagName: 'text',
-            attributes: {
-                x: "100%",
-                y: "100%",
-                dx: "-5",
-                dy: "-5",
-                "text-anchor": "end",
-                "dominant-baseline": "text-after-edge",
-                fill: "#000",
-                "font-family": "sans-serif",
-                "font-size": "12px",
-                "font-weight": "bold",
-                "text-decoration": "underline",
-            },
-            children: ["Edit"]
-        }
-    ]
+import { createEditLink, isEditLink, toStrictNoteSvg, toSvgDocument } from "./notesvg.js";
+import { toPdf } from "./pdf.js";
+import { DEFAULT_COPY_MODE, createEmbedSnippet, isCopyMode } from "./embed.js";
+import { NoteLibrary, UNTITLED_NOTE_TITLE } from "./library.js";
+import { NoteSync, TabTransport, WebSocketTransport } from "./sync.js";
+import {
+    canvasToBlob, downloadBlob, getThemeColors, isValidSvg, loadCopyMode, loadPenSettings, normalizeColor,
+    parseSizeString, saveCopyMode, savePenSettings
+} from "./utils.js";
+import { validateNoteSvgString } from "./validator.js";
+
+/**
+ * Default pen settings used when none are stored
+ * @type {{color: string, diameter: number}}
+ */
+const DEFAULT_PEN_SETTINGS = {
+    color: '#000000',
+    diameter: 2
 };
 
 /**
- * Saves the document to localStorage
+ * Default empty space left around the content when fitting to it
+ * @type {number}
+ */
+const DEFAULT_FIT_MARGIN = 16;
+
+/**
+ * Largest width or height of an exported PNG, which browsers can reliably allocate
+ * @type {number}
+ */
+const MAX_PNG_SIZE = 16384;
+
+/**
+ * How much the view zooms per pixel of wheel scrolling
+ * @type {number}
+ */
+const WHEEL_ZOOM_SPEED = 0.002;
+
+/**
+ * Pixels per line, for wheels that scroll by lines
+ * @type {number}
+ */
+const WHEEL_LINE_HEIGHT = 16;
+
+/**
+ * Pixels per page, for wheels that scroll by pages
+ * @type {number}
+ */
+const WHEEL_PAGE_HEIGHT = 400;
+
+/**
+ * Indentation used when pretty-printing saved files
+ * @type {string}
+ */
+const PRETTY_PRINT_INDENT = "  ";
+
+/**
+ * Largest width or height of a note's thumbnail in the library
+ * @type {number}
+ */
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * How long to wait after a change before saving, so a burst of strokes is saved once
+ * @type {number}
+ */
+const AUTOSAVE_DELAY = 1000;
+
+/**
+ * The relay suggested for drawing together, as started by relay/relay.js
+ * @type {string}
+ */
+const DEFAULT_RELAY_URL = 'ws://localhost:8787';
+
+/**
+ * The library notes are saved to, the ID of the open note once the library is
+ * loaded, the SVG last sent to the library for it and the SVG the library
+ * confirmed storing, what keeps it in step with other tabs, and what shares
+ * it with other people while drawing together
+ * @type {{
+ *  library: NoteLibrary|null,
+ *  id: string|null,
+ *  savedSvg: string|null,
+ *  storedSvg: string|null,
+ *  sync: NoteSync|null,
+ *  collaboration: NoteSync|null
+ * }}
+ */
+const openNote = { library: null, id: null, savedSvg: null, storedSvg: null, sync: null, collaboration: null };
+
+/**
+ * Renders a thumbnail of the document for the library
+ * @param {StrokeRenderer} renderer - The renderer instance
+ * @returns {string} - The thumbnail as a PNG data URL
+ */
+function createThumbnail(renderer) {
+    const { width, height } = renderer.svg.noteSvgAttributes;
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+
+    renderer.updateTheme();
+    return renderer.renderToCanvas(scale, getThemeColors().bg).toDataURL('image/png');
+}
+
+/**
+ * Saves the document to the open note in the library
  * @param {Object} noteDocument - The document to save
+ * @param {StrokeRenderer} renderer - The renderer instance
+ * @returns {Promise<void>} - Resolves once the note is stored
  */
-function saveDocumentToLocalStorage(noteDocument) {
-    saveToLocalStorage(noteDocument, serializeDocument);
+export async function saveOpenNote(noteDocument, renderer) {
+    const { library, id } = openNote;
+    if (!library || !id) return;
+
+    try {
+        // Serialize the document without adding the "Edit" link
+        const svgString = serializeDocument(noteDocument, false);
+
+        // Unchanged documents aren't stored again, so the modified time only moves on changes
+        if (svgString === openNote.savedSvg) return;
+        openNote.savedSvg = svgString;
+
+        await library.save(id, svgString, createThumbnail(renderer));
+        if (openNote.id === id) openNote.storedSvg = svgString;
+        library.clearBackup(svgString);
+        console.log('Document saved to the library');
+    } catch (error) {
+        // Store the document again on the next save
+        openNote.savedSvg = null;
+        console.error('Failed to save document to the library:', error);
+    }
 }
 
 /**
- * Updates the document dimensions and renderer
- * @param {Object} noteDocument - The note document to update
+ * Records that the open note was saved as a file or copied
+ * The note is stored first, so that the library holds what was exported.
+ * @param {Object} noteDocument - The document that was exported
  * @param {StrokeRenderer} renderer - The renderer instance
+ * @returns {Promise<void>} - Resolves once the export is recorded
  */
-export function updateDocument(noteDocument, renderer) {
+async function markOpenNoteExported(noteDocument, renderer) {
+    await saveOpenNote(noteDocument, renderer);
+
+    const { library, id, savedSvg } = openNote;
+    if (!library || !id || savedSvg === null) return;
+
+    try {
+        await library.markExported(id, savedSvg);
+    } catch (error) {
+        console.error('Failed to record the export in the library:', error);
+    }
+}
+
+/**
+ * Sets up saving the open note after changes and when the page is hidden
+ * Mobile browsers may kill hidden tabs without unloading them, so the note is
+ * also backed up synchronously whenever the page is hidden.
+ * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
+ */
+export function setupAutosave(noteDocument, renderer) {
+    let timer = null;
+
+    const saveNow = () => {
+        clearTimeout(timer);
+        timer = null;
+
+        const { library, id } = openNote;
+        if (!library || !id) return;
+
+        // A save that is still in flight can be cut off too, so only what the library confirmed is skipped
+        const svgString = serializeDocument(noteDocument, false);
+        if (svgString !== openNote.storedSvg) library.writeBackup(id, svgString);
+        saveOpenNote(noteDocument, renderer);
+    };
+
+    // Save shortly after each completed stroke or erase, and after undo and redo
+    renderer.documentEditor.history.addListener(() => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            saveOpenNote(noteDocument, renderer);
+        }, AUTOSAVE_DELAY);
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') saveNow();
+    });
+    window.addEventListener('pagehide', saveNow);
+}
+
+/**
+ * Replaces the document's content with another document's, keeping the same object
+ * Everything set up with the document keeps referring to it, so it's changed in place.
+ * @param {Object} noteDocument - The document to replace
+ * @param {Object} newDocument - The document to replace it with
+ */
+function replaceDocument(noteDocument, newDocument) {
+    for (const key of Object.keys(noteDocument)) delete noteDocument[key];
+    Object.assign(noteDocument, newDocument);
+}
+
+/**
+ * Shows the document in the editor, resizing the page to fit it
+ * @param {Object} noteDocument - The note document to show
+ * @param {StrokeRenderer} renderer - The renderer instance
+ */
+function showDocument(noteDocument, renderer) {
     const container = document.getElementById('container');
     const buttonContainer = document.getElementById('button-container');
     const penContainer = document.getElementById('pen-container');
@@ -69,9 +228,223 @@ export function updateDocument(noteDocument, renderer) {
     // Update the renderer
     renderer.svg = noteDocument;
     renderer.drawBack();
+}
+
+/**
+ * Updates the document dimensions and renderer
+ * @param {Object} noteDocument - The note document to update
+ * @param {StrokeRenderer} renderer - The renderer instance
+ */
+export function updateDocument(noteDocument, renderer) {
+    showDocument(noteDocument, renderer);
     
-    // Save the updated document to localStorage
-    saveDocumentToLocalStorage(noteDocument);
+    // Save the updated document to the library
+    saveOpenNote(noteDocument, renderer);
+}
+
+/**
+ * Sets up keeping the open note in step with other tabs
+ * Changes from other tabs are shown right away but aren't saved by this tab,
+ * since the tab that made them saves them.
+ * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
+ * @param {Function} deserializeDocument - Function to deserialize SVG string
+ */
+export function setupTabSync(noteDocument, renderer, deserializeDocument) {
+    openNote.sync = new NoteSync(renderer.documentEditor, new TabTransport(),
+        createSyncCallbacks(noteDocument, renderer, deserializeDocument, false));
+    renderer.addLiveStrokeListener((id, tool, points, done) => openNote.sync?.sendLiveStroke(id, tool, points, done));
+
+    if (openNote.id) openNote.sync.open(openNote.id);
+}
+
+/**
+ * Creates the callbacks that show changes from other editors
+ * Documents from other editors are loaded like uploaded files, so they are
+ * sanitized before they replace the note.
+ * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
+ * @param {Function} deserializeDocument - Function to deserialize SVG string
+ * @param {boolean} save - Whether to save the changes, for editors that don't share this browser's library
+ * @returns {import("./sync.js").SyncCallbacks} - The callbacks
+ */
+function createSyncCallbacks(noteDocument, renderer, deserializeDocument, save) {
+    return {
+        onChange: (resized) => {
+            if (resized) showDocument(noteDocument, renderer);
+            else renderer.drawBack();
+            if (save) saveOpenNote(noteDocument, renderer);
+        },
+        onReplace: (svgString) => {
+            replaceDocument(noteDocument, deserializeDocument(svgString));
+            renderer.documentEditor.reset();
+            showDocument(noteDocument, renderer);
+            if (save) saveOpenNote(noteDocument, renderer);
+        },
+        onLiveStroke: (key, tool, points, done) => {
+            if (done) renderer.endRemoteStrokes(key);
+            else renderer.updateRemoteStroke(key, tool, points);
+        },
+        onLeave: (from) => renderer.endRemoteStrokes(`${from}:`)
+    };
+}
+
+/**
+ * Starts drawing the open note together with everyone in a relay room
+ * Whatever the others already drew is merged into the note, and theirs gets
+ * the user's strokes in return.
+ * @param {string} url - The relay's URL
+ * @param {string} room - The room to join
+ * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
+ * @param {Function} deserializeDocument - Function to deserialize SVG string
+ */
+function joinCollaboration(url, room, noteDocument, renderer, deserializeDocument) {
+    leaveCollaboration(renderer);
+
+    const roomUrl = new URL(url);
+    roomUrl.searchParams.set('room', room);
+
+    openNote.collaboration = new NoteSync(renderer.documentEditor, new WebSocketTransport(roomUrl.href),
+        createSyncCallbacks(noteDocument, renderer, deserializeDocument, true));
+    openNote.collaboration.open(room);
+}
+
+/**
+ * Stops drawing together, keeping the note as it is
+ * @param {StrokeRenderer} renderer - The renderer instance
+ */
+function leaveCollaboration(renderer) {
+    if (!openNote.collaboration) return;
+
+    const collaboration = openNote.collaboration;
+    openNote.collaboration = null;
+    collaboration.close();
+
+    // Clear the others' unfinished strokes, since they won't be finished here
+    renderer.endRemoteStrokes('');
+
+    document.getElementById('collaborate-button')?.classList.remove('connected');
+}
+
+/**
+ * Opens a note from the library in the editor
+ * @param {import("./library.js").NoteRecord} record - The note to open
+ * @param {Object} noteDocument - The note document to load it into
+ * @param {StrokeRenderer} renderer - The renderer instance
+ * @param {Function} deserializeDocument - Function to deserialize SVG string
+ */
+function openLibraryNote(record, noteDocument, renderer, deserializeDocument) {
+    leaveCollaboration(renderer);
+    replaceDocument(noteDocument, deserializeDocument(record.svg));
+    renderer.documentEditor.reset();
+
+    openNote.id = record.id;
+    openNote.savedSvg = serializeDocument(noteDocument, false);
+    openNote.storedSvg = record.svg;
+    openNote.library.lastOpenedId = record.id;
+    openNote.sync?.open(record.id);
+    showDocument(noteDocument, renderer);
+    renderer.resetView();
+}
+
+/**
+ * Starts a new note in the library with the given document
+ * @param {Object} noteDocument - The note document, already holding the new note's content
+ * @param {StrokeRenderer} renderer - The renderer instance
+ * @param {string} [title] - The new note's title
+ * @returns {Promise<void>} - Resolves once the note is stored
+ */
+async function createLibraryNote(noteDocument, renderer, title = UNTITLED_NOTE_TITLE) {
+    leaveCollaboration(renderer);
+    renderer.documentEditor.reset();
+    showDocument(noteDocument, renderer);
+    renderer.resetView();
+
+    const svgString = serializeDocument(noteDocument, false);
+    const record = await openNote.library.create(svgString, title, createThumbnail(renderer));
+    openNote.id = record.id;
+    openNote.savedSvg = svgString;
+    openNote.storedSvg = svgString;
+    openNote.library.lastOpenedId = record.id;
+    openNote.sync?.open(record.id);
+}
+
+/**
+ * Asks whether to go back to the version of a note that was last saved as a file or copied
+ * Closing the dialog without choosing keeps the changes.
+ * @param {import("./library.js").NoteRecord} record - The note
+ * @returns {Promise<boolean>} - True to go back to the exported version
+ */
+function askToRevert(record) {
+    const dialog = /** @type {HTMLDialogElement} */ (document.getElementById('recovery-dialog'));
+    dialog.querySelector('.message').textContent = `"${record.title}" has changes from`
+        + ` ${new Date(record.modified).toLocaleString()} that weren't saved or copied.`
+        + ` Going back to the version saved or copied on ${new Date(record.exported).toLocaleString()}`
+        + ` keeps the changes as a separate note.`;
+
+    return new Promise((resolve) => {
+        dialog.addEventListener('close', () => resolve(dialog.returnValue === 'revert'), { once: true });
+        dialog.returnValue = '';
+        dialog.showModal();
+    });
+}
+
+/**
+ * Opens the note library and the note that was open last
+ * Documents from earlier versions are moved into the library first, and
+ * changes a closed tab didn't get to store are restored. If the note changed
+ * since it was last saved as a file or copied, the user is asked once whether
+ * to go back to that version, keeping the changes as a separate note. If the
+ * library is empty, the document shown so far becomes its first note.
+ * @param {Object} noteDocument - The note document to load into
+ * @param {StrokeRenderer} renderer - The renderer instance
+ * @param {Function} deserializeDocument - Function to deserialize SVG string
+ * @returns {Promise<void>} - Resolves once a note is open
+ */
+export async function loadLibrary(noteDocument, renderer, deserializeDocument) {
+    try {
+        const library = await NoteLibrary.open();
+        await library.migrateFromLocalStorage();
+        await library.restoreBackup();
+        openNote.library = library;
+
+        let record = library.lastOpenedId ? await library.get(library.lastOpenedId) : null;
+        if (!record) {
+            // Fall back to the most recently modified note
+            const [latest] = await library.list();
+            record = latest ? await library.get(latest.id) : null;
+        }
+
+        if (record) {
+            try {
+                let reverted = false;
+                if (library.shouldOfferRecovery(record)) {
+                    reverted = await askToRevert(record);
+                    if (reverted) {
+                        const { reverted: revertedRecord, newer } = await library.revertToExported(record.id);
+                        console.log(`Kept the unsaved changes as "${newer.title}"`);
+                        record = revertedRecord;
+                    } else {
+                        record = await library.keepUnexportedChanges(record);
+                    }
+                }
+
+                openLibraryNote(record, noteDocument, renderer, deserializeDocument);
+                if (reverted) await library.update(record.id, { thumbnail: createThumbnail(renderer) }, false);
+
+                console.log('Document loaded from the library');
+                return;
+            } catch (error) {
+                console.error(`Failed to load note "${record.title}":`, error);
+            }
+        }
+
+        await createLibraryNote(noteDocument, renderer);
+    } catch (error) {
+        console.error('Failed to load the note library:', error);
+        alert(`Notes can't be saved in this browser: ${error}`);
+    }
 }
 
 /**
@@ -79,31 +452,27 @@ export function updateDocument(noteDocument, renderer) {
  * @param {Object} noteDocument - The note document to serialize
  * @param {boolean} [addLink=true] - Whether to add a link to the SVG
  * @param {boolean} [matchColorScheme=true] - Whether to change the SVG color scheme
+ * @param {boolean} [strict=false] - Whether to down-convert to the note.svg 1.0 subset
+ * @param {boolean} [pretty=false] - Whether to put each element on its own indented line
  * @returns {string} - The serialized SVG string
  */
-export function serializeDocument(noteDocument, addLink = true, matchColorScheme = true) {    
+export function serializeDocument(noteDocument, addLink = true, matchColorScheme = true, strict = false, pretty = false) {    
     let overrideStroke = null;
     let overrideBg = null;
-    const style = window.getComputedStyle(document.body);
-
-    const strokeColor = style.getPropertyValue('--primary-color');
-    const bgColor = style.getPropertyValue('--primary-bg');
 
-    console.log(strokeColor, bgColor);
+    // Theme colors can be any CSS color, but note.svg stores 6-digit hex colors
+    const { stroke, bg } = getThemeColors();
+    const strokeColor = normalizeColor(stroke);
+    const bgColor = normalizeColor(bg);
 
     // Add link if not there
     if (addLink) {
         noteDocument.children ||= [];
         
-        let linkElem = noteDocument.children.find((item) => {
-            if (typeof item === 'string') return false;
-            
-            return item.tagName === 'a' 
-                && item.attributes?.href === window.location.pathname;
-        });
+        let linkElem = noteDocument.children.find((item) => isEditLink(item, window.location.pathname));
 
         if (linkElem === undefined) {
-            Object.assign(linkElem, LINK_ELEMENT);            
+            linkElem = createEditLink(window.location.pathname);
             noteDocument.children.push(linkElem);
         }
 
@@ -115,7 +484,18 @@ export function serializeDocument(noteDocument, addLink = true, matchColorScheme
         overrideBg = bgColor;
     }
 
-    return toSvg(noteDocument, overrideStroke, overrideBg);
+    const indent = pretty ? PRETTY_PRINT_INDENT : "";
+    return toSvgDocument(strict ? toStrictNoteSvg(noteDocument) : noteDocument, overrideStroke, overrideBg, indent);
+}
+
+/**
+ * Checks an exported SVG against the note.svg spec, reporting problems in the console
+ * Exports should always conform, so any error here is a bug in the serializer.
+ * @param {string} svgString - The exported SVG
+ */
+function checkExportConformance(svgString) {
+    const { errors } = validateNoteSvgString(svgString);
+    for (const issue of errors) console.error(`Exported note.svg error at ${issue.path}: ${issue.message}`);
 }
 
 /**
@@ -137,35 +517,125 @@ export function setupCanvas(noteDocument, renderer) {
     container.appendChild(backCanvas);
     container.appendChild(frontCanvas);
     
+    // Fingers on the canvas, and the pointers moving the view instead of drawing, by pointer ID
+    /** @type {Map<number, {x: number, y: number}>} */
+    const touches = new Map();
+    /** @type {Map<number, {x: number, y: number}>} */
+    const panPointers = new Map();
+    let spaceHeld = false;
+
     // Handle pointer down event
     backCanvas.addEventListener('pointerdown', (e) => {
         e.preventDefault();
-        
-        // Start a new stroke with the pointer event
-        renderer.beginStroke(e.pointerId, e);
-        
+
         // Capture the pointer to ensure we get all events
         backCanvas.setPointerCapture(e.pointerId);
+
+        if (e.pointerType === 'touch') touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (spaceHeld || e.button === 1) {
+            // Space-drag and middle-drag pan the view
+            panPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        } else if (touches.size === 2) {
+            // A second finger turns the first one's stroke into a pinch
+            for (const id of touches.keys()) {
+                renderer.cancelStroke(id);
+                panPointers.set(id, touches.get(id));
+            }
+        } else if (touches.size < 2) {
+            // Start a new stroke with the pointer event
+            renderer.beginStroke(e.pointerId, e);
+        }
     });
     
     // Handle pointer move event
     backCanvas.addEventListener('pointermove', (e) => {
         e.preventDefault();
-        
-        // Update the stroke with the pointer event
-        renderer.moveStroke(e.pointerId, e);
+
+        if (touches.has(e.pointerId)) touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        const last = panPointers.get(e.pointerId);
+        if (!last) {
+            // Update the stroke with the pointer event
+            renderer.moveStroke(e.pointerId, e);
+            return;
+        }
+
+        const otherId = Array.from(panPointers.keys()).find((id) => id !== e.pointerId);
+        const other = panPointers.get(otherId);
+        if (other) {
+            // Pinching keeps the point between the fingers under them, scaled by how far apart they moved
+            const before = Math.hypot(last.x - other.x, last.y - other.y);
+            const after = Math.hypot(e.clientX - other.x, e.clientY - other.y);
+
+            renderer.panBy((e.clientX - last.x) * 0.5, (e.clientY - last.y) * 0.5);
+            if (before > 0) renderer.zoomAt((e.clientX + other.x) * 0.5, (e.clientY + other.y) * 0.5, after / before);
+        } else {
+            renderer.panBy(e.clientX - last.x, e.clientY - last.y);
+        }
+
+        panPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
     });
     
     // Handle pointer up event
     backCanvas.addEventListener('pointerup', (e) => {
         e.preventDefault();
-        
-        // End the stroke with the pointer event
-        renderer.endStroke(e.pointerId, e);
+
+        // End the stroke with the pointer event, unless the pointer was moving the view
+        touches.delete(e.pointerId);
+        if (!panPointers.delete(e.pointerId)) renderer.endStroke(e.pointerId, e);
         
         // Release the pointer
         backCanvas.releasePointerCapture(e.pointerId);
     });
+
+    // Browsers cancel pointers they take over, e.g. for their own gestures
+    backCanvas.addEventListener('pointercancel', (e) => {
+        touches.delete(e.pointerId);
+        panPointers.delete(e.pointerId);
+        renderer.cancelStroke(e.pointerId);
+    });
+
+    // Zoom in and out around the cursor with the wheel
+    backCanvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+
+        let pixels = e.deltaY;
+        if (e.deltaMode === WheelEvent.DOM_DELTA_LINE) pixels *= WHEEL_LINE_HEIGHT;
+        else if (e.deltaMode === WheelEvent.DOM_DELTA_PAGE) pixels *= WHEEL_PAGE_HEIGHT;
+
+        renderer.zoomAt(e.clientX, e.clientY, Math.exp(-pixels * WHEEL_ZOOM_SPEED));
+    }, { passive: false });
+
+    // Holding space pans with the pen or mouse, and 0 goes back to the whole page
+    const isViewKey = (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+        return !target?.closest?.('input, textarea, [contenteditable], dialog')
+            && !(e.ctrlKey || e.metaKey || e.altKey);
+    };
+    document.addEventListener('keydown', (e) => {
+        if (!isViewKey(e)) return;
+
+        if (e.key === ' ') {
+            // Keep the page from scrolling and focused buttons from being pressed
+            e.preventDefault();
+            spaceHeld = true;
+            backCanvas.style.cursor = 'grab';
+        } else if (e.key === '0') {
+            renderer.resetView();
+        }
+    });
+    document.addEventListener('keyup', (e) => {
+        if (e.key !== ' ') return;
+        if (isViewKey(e)) e.preventDefault();
+
+        spaceHeld = false;
+        backCanvas.style.cursor = '';
+    });
+    window.addEventListener('blur', () => {
+        spaceHeld = false;
+        backCanvas.style.cursor = '';
+    });
     
     // Handle pointer leave event
     backCanvas.addEventListener('pointerleave', (e) => {
@@ -173,6 +643,15 @@ export function setupCanvas(noteDocument, renderer) {
         // and will still receive move and up events
     });
 
+    // Make room for the page when drawing past its edge grows it
+    renderer.addPageListener(() => showDocument(noteDocument, renderer));
+
+    // Redraw with the new ink color when the color scheme changes
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+        renderer.updateTheme();
+        renderer.drawBack();
+    });
+
     updateDocument(noteDocument, renderer);
 }
 
@@ -180,16 +659,20 @@ export function setupCanvas(noteDocument, renderer) {
  * Sets up the save button event handler
  * @param {HTMLButtonElement} saveButton - The save button element
  * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
  */
-function setupSaveButton(saveButton, noteDocument) {
-    saveButton.addEventListener('click', () => {
+function setupSaveButton(saveButton, noteDocument, renderer) {
+    saveButton.addEventListener('click', (e) => {
         try {
-            // Serialize the document to SVG
-            const svgString = serializeDocument(noteDocument);
+            // Serialize the document to SVG, shift-click for the note.svg 1.0 subset.
+            // Saved files are pretty-printed so that they diff well in version control.
+            const svgString = serializeDocument(noteDocument, true, true, e.shiftKey, true);
+            checkExportConformance(svgString);
             
             // Create a blob and download link
             const blob = new Blob([svgString], { type: 'image/svg+xml' });
             downloadBlob(blob, 'note.svg');
+            markOpenNoteExported(noteDocument, renderer);
         } catch (error) {
             alert(`Error saving document ${error}`);
             console.error('Error saving document:', error);
@@ -198,29 +681,91 @@ function setupSaveButton(saveButton, noteDocument) {
 }
 
 /**
- * Sets up the copy button event handler
+ * Sets up the PDF button event handler
+ * @param {HTMLButtonElement} pdfButton - The PDF button element
+ * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
+ */
+function setupPdfButton(pdfButton, noteDocument, renderer) {
+    pdfButton.addEventListener('click', () => {
+        try {
+            // The PDF is in the theme colors, like the saved SVG
+            const { stroke, bg } = getThemeColors();
+            const pdfString = toPdf([noteDocument], { inkColor: stroke, background: bg });
+            downloadBlob(new Blob([pdfString], { type: 'application/pdf' }), 'note.pdf');
+            markOpenNoteExported(noteDocument, renderer);
+        } catch (error) {
+            alert(`Error saving PDF ${error}`);
+            console.error('Error saving PDF:', error);
+        }
+    });
+}
+
+/**
+ * Sets up the copy button and the copy mode menu
  * @param {HTMLButtonElement} copyButton - The copy button element
+ * @param {HTMLButtonElement} copyModeButton - The button that opens the copy mode menu
+ * @param {HTMLDialogElement} copyDialog - The copy mode menu
  * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
  */
-function setupCopyButton(copyButton, noteDocument) {
-    copyButton.addEventListener('click', async () => {
+function setupCopyButton(copyButton, copyModeButton, copyDialog, noteDocument, renderer) {
+    const form = copyDialog.querySelector('form');
+    let copyMode = /** @type {import("./embed.js").CopyMode} */ (loadCopyMode(isCopyMode, DEFAULT_COPY_MODE));
+
+    // Gets the radio button for a copy mode
+    const getModeInput = (mode) => /** @type {HTMLInputElement} */ (form.querySelector(`input[name="mode"][value="${mode}"]`));
+
+    const updateTitle = () => {
+        const label = getModeInput(copyMode).parentElement.textContent.trim();
+        copyButton.title = `Copy ${label} to clipboard (Shift+click for note.svg 1.0)`;
+    };
+
+    const copy = async (strict) => {
         try {
-            // Serialize the document to SVG
-            const svgString = serializeDocument(noteDocument);
+            // Serialize the document to SVG, shift-click for the note.svg 1.0 subset
+            const svgString = serializeDocument(noteDocument, true, true, strict);
+            checkExportConformance(svgString);
+            const snippet = createEmbedSnippet(svgString, copyMode, noteDocument.noteSvgAttributes);
             
-            // Use the clipboard API to copy the SVG string
+            // Use the clipboard API to copy the snippet
             if (navigator.clipboard) {
-                await navigator.clipboard.writeText(svgString);
+                await navigator.clipboard.writeText(snippet);
             } else {
-                prompt("Copy this SVG code:", svgString);
+                prompt("Copy this code:", snippet);
             }
 
-            console.log('Note copied to clipboard');
-            alert("SVG copied to clipboard!");
+            console.log(`Note copied to clipboard as ${copyMode}`);
+            markOpenNoteExported(noteDocument, renderer);
+            alert(copyMode === 'svg' ? "SVG copied to clipboard!" : "Note copied to clipboard!");
         } catch (error) {
             console.error('Failed to copy note to clipboard:', error);
         }
+    };
+
+    copyButton.addEventListener('click', (e) => copy(e.shiftKey));
+
+    copyModeButton.addEventListener('click', () => {
+        getModeInput(copyMode).checked = true;
+        copyDialog.showModal();
+    });
+
+    form.addEventListener('submit', (e) => {
+        // Cancelling closes the menu without changing the mode
+        const submitter = /** @type {HTMLButtonElement} */ (/** @type {SubmitEvent} */ (e).submitter);
+        if (submitter?.value !== 'copy') return;
+
+        const modeInput = /** @type {HTMLInputElement} */ (form.querySelector('input[name="mode"]:checked'));
+        if (isCopyMode(modeInput?.value)) {
+            copyMode = /** @type {import("./embed.js").CopyMode} */ (modeInput.value);
+            saveCopyMode(copyMode);
+            updateTitle();
+        }
+
+        copy(false);
     });
+
+    updateTitle();
 }
 
 /**
@@ -231,7 +776,10 @@ function setupCopyButton(copyButton, noteDocument) {
  * @param {Function} deserializeDocument - Function to deserialize SVG string
  */
 function setupUploadButton(uploadButton, noteDocument, renderer, deserializeDocument) {
-    uploadButton.addEventListener('click', () => {
+    uploadButton.addEventListener('click', (clickEvent) => {
+        // Shift-click rejects SVGs with unsupported content instead of stripping it
+        const strict = clickEvent.shiftKey;
+
         // Create a file input element
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
@@ -254,11 +802,15 @@ function setupUploadButton(uploadButton, noteDocument, renderer, deserializeDocu
                         }
                         
                         // Deserialize the SVG string to a noteDocument
-                        const newDocument = deserializeDocument(result);
+                        const newDocument = deserializeDocument(result, strict);
                         
                         // Replace the current document with the new one
-                        Object.assign(noteDocument, newDocument);
+                        replaceDocument(noteDocument, newDocument);
+                        renderer.documentEditor.reset();
                         updateDocument(noteDocument, renderer);
+                        renderer.resetView();
+                        openNote.sync?.publishDocument();
+                        openNote.collaboration?.publishDocument();
 
                         console.log('Document loaded successfully');
                     } catch (error) {
@@ -284,7 +836,7 @@ function setupUploadButton(uploadButton, noteDocument, renderer, deserializeDocu
  * @param {Function} deserializeDocument - Function to deserialize SVG string
  */
 function setupPasteButton(pasteButton, noteDocument, renderer, deserializeDocument) {
-    pasteButton.addEventListener('click', async () => {
+    pasteButton.addEventListener('click', async (e) => {
         try {
             // Get text from clipboard
             const text = navigator.clipboard
@@ -293,11 +845,15 @@ function setupPasteButton(pasteButton, noteDocument, renderer, deserializeDocume
             
             // Check if it's an SVG
             if (isValidSvg(text)) {
-                // Deserialize the SVG string to a noteDocument
-                const newDocument = deserializeDocument(text);
+                // Deserialize the SVG string to a noteDocument, shift-click to reject unsupported content
+                const newDocument = deserializeDocument(text, e.shiftKey);
                 
-                Object.assign(noteDocument, newDocument);
+                replaceDocument(noteDocument, newDocument);
+                renderer.documentEditor.reset();
                 updateDocument(noteDocument, renderer);
+                renderer.resetView();
+                openNote.sync?.publishDocument();
+                openNote.collaboration?.publishDocument();
                 
                 console.log('Note pasted from clipboard');
             } else {
@@ -312,22 +868,177 @@ function setupPasteButton(pasteButton, noteDocument, renderer, deserializeDocume
 }
 
 /**
- * Sets up the resize button event handler
+ * Sets up the resize button and dialog event handlers
  * @param {HTMLButtonElement} resizeButton - The resize button element
+ * @param {HTMLDialogElement} resizeDialog - The resize dialog element
  * @param {Object} noteDocument - The note document
  * @param {StrokeRenderer} renderer - The renderer instance
  */
-function setupResizeButton(resizeButton, noteDocument, renderer) {
+function setupResizeButton(resizeButton, resizeDialog, noteDocument, renderer) {
+    const form = resizeDialog.querySelector('form');
+    const widthInput = /** @type {HTMLInputElement} */ (form.elements.namedItem('width'));
+    const heightInput = /** @type {HTMLInputElement} */ (form.elements.namedItem('height'));
+    const scaleInput = /** @type {HTMLInputElement} */ (form.elements.namedItem('scale'));
+    const errorText = resizeDialog.querySelector('.error');
+
     resizeButton.addEventListener('click', () => {
-        const sizeStr = prompt("Enter a size (i.e. 480x480)", 
-            `${noteDocument.noteSvgAttributes.width}x${noteDocument.noteSvgAttributes.height}`) || "";
-        
-        const size = parseSizeString(sizeStr);
-        
-        if (size) {
-            noteDocument.noteSvgAttributes.width = size.width;
-            noteDocument.noteSvgAttributes.height = size.height;
-            updateDocument(noteDocument, renderer);
+        widthInput.value = String(noteDocument.noteSvgAttributes.width);
+        heightInput.value = String(noteDocument.noteSvgAttributes.height);
+        errorText.textContent = '';
+        resizeDialog.showModal();
+    });
+
+    form.addEventListener('submit', (e) => {
+        // Cancelling closes the dialog without resizing
+        const submitter = /** @type {HTMLButtonElement} */ (/** @type {SubmitEvent} */ (e).submitter);
+        if (submitter?.value !== 'resize') return;
+
+        const size = parseSizeString(`${widthInput.value}x${heightInput.value}`);
+        if (!size) {
+            e.preventDefault();
+            errorText.textContent = 'Width and height must be whole numbers greater than 0.';
+            return;
+        }
+
+        // Anchors are named by their column and row, i.e. "0.5,1" for bottom center
+        const anchorInput = /** @type {HTMLInputElement} */ (form.querySelector('input[name="anchor"]:checked'));
+        const anchor = (anchorInput?.value || '0,0').split(',').map(parseFloat);
+
+        renderer.documentEditor.resizeDocumentAnchored(size.width, size.height, anchor, scaleInput.checked);
+        updateDocument(noteDocument, renderer);
+    });
+}
+
+/**
+ * Sets up the PNG export button and dialog
+ * @param {HTMLButtonElement} pngButton - The PNG button element
+ * @param {HTMLDialogElement} pngDialog - The PNG export dialog
+ * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
+ */
+function setupPngButton(pngButton, pngDialog, noteDocument, renderer) {
+    const form = pngDialog.querySelector('form');
+    const scaleInput = /** @type {HTMLInputElement} */ (form.elements.namedItem('scale'));
+    const sizeText = pngDialog.querySelector('.size');
+    const errorText = pngDialog.querySelector('.error');
+
+    // Gets the scale if the resulting image isn't too large
+    const getScale = () => {
+        const scale = parseFloat(scaleInput.value);
+        if (!(scale > 0)) return null;
+
+        const { width, height } = noteDocument.noteSvgAttributes;
+        return Math.max(width, height) * scale <= MAX_PNG_SIZE ? scale : null;
+    };
+
+    const updateSize = () => {
+        const scale = getScale();
+        const { width, height } = noteDocument.noteSvgAttributes;
+        sizeText.textContent = scale
+            ? `${Math.round(width * scale)} × ${Math.round(height * scale)} pixels`
+            : '';
+    };
+
+    pngButton.addEventListener('click', () => {
+        errorText.textContent = '';
+        updateSize();
+        pngDialog.showModal();
+    });
+    scaleInput.addEventListener('input', updateSize);
+
+    form.addEventListener('submit', (e) => {
+        // Cancelling closes the dialog without exporting
+        const submitter = /** @type {HTMLButtonElement} */ (/** @type {SubmitEvent} */ (e).submitter);
+        if (submitter?.value !== 'save' && submitter?.value !== 'copy') return;
+
+        const scale = getScale();
+        if (!scale) {
+            e.preventDefault();
+            errorText.textContent = `The scale must be greater than 0, and the image at most ${MAX_PNG_SIZE} pixels wide and high.`;
+            return;
+        }
+
+        const backgroundInput = /** @type {HTMLInputElement} */ (form.querySelector('input[name="background"]:checked'));
+        const background = backgroundInput?.value === 'theme' ? getThemeColors().bg : null;
+
+        renderer.updateTheme();
+        const blob = canvasToBlob(renderer.renderToCanvas(scale, background));
+
+        if (submitter.value === 'save') {
+            blob.then((png) => {
+                downloadBlob(png, 'note.png');
+                markOpenNoteExported(noteDocument, renderer);
+            }).catch((error) => {
+                alert(`Error saving PNG ${error}`);
+                console.error('Error saving PNG:', error);
+            });
+            return;
+        }
+
+        // The clipboard write has to start during the click, so it is given the pending image
+        if (!navigator.clipboard?.write || typeof ClipboardItem === 'undefined') {
+            alert("Copying images isn't supported by this browser; use Save instead.");
+            return;
+        }
+        navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })])
+            .then(() => {
+                console.log('PNG copied to clipboard');
+                markOpenNoteExported(noteDocument, renderer);
+                alert("PNG copied to clipboard!");
+            })
+            .catch((error) => {
+                alert(`Error copying PNG ${error}`);
+                console.error('Failed to copy PNG to clipboard:', error);
+            });
+    });
+}
+
+/**
+ * Creates a pen tool from pen settings
+ * @param {{color: string, diameter: number}} penSettings - The pen settings
+ * @returns {import("./stroke.js").PenTool} - The pen tool
+ */
+function createPenTool(penSettings) {
+    return {
+        type: "pen",
+        color: penSettings.color,
+        diameter: penSettings.diameter,
+        tolerance: 1.5,
+    };
+}
+
+/**
+ * Sets up the fit to content button event handler
+ * @param {HTMLButtonElement} fitButton - The fit button element
+ * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
+ */
+function setupFitButton(fitButton, noteDocument, renderer) {
+    let margin = DEFAULT_FIT_MARGIN;
+
+    fitButton.addEventListener('click', () => {
+        const marginStr = prompt("Enter a margin around the content (i.e. 16)", String(margin));
+        if (marginStr === null) return;
+
+        const newMargin = parseFloat(marginStr);
+        if (isNaN(newMargin) || newMargin < 0) {
+            alert("The margin must be a number of at least 0");
+            return;
+        }
+        margin = newMargin;
+
+        try {
+            if (renderer.documentEditor.fitToContent(margin)) {
+                updateDocument(noteDocument, renderer);
+
+                // Show the whole page, now that it holds everything
+                renderer.resetView();
+            } else {
+                alert("There is nothing to fit to");
+            }
+        } catch (error) {
+            console.error('Failed to fit the canvas to its content:', error);
+            alert(`Error fitting the canvas: ${error}`);
         }
     });
 }
@@ -338,32 +1049,44 @@ function setupResizeButton(resizeButton, noteDocument, renderer) {
  * @param {HTMLButtonElement} eraserButton - The eraser button element
  * @param {Object} noteDocument - The note document
  * @param {StrokeRenderer} renderer - The renderer instance
+ * @param {{color: string, diameter: number}} penSettings - The current pen settings
  */
-function setupDrawingTools(pencilButton, eraserButton, noteDocument, renderer) {
+function setupDrawingTools(pencilButton, eraserButton, noteDocument, renderer, penSettings) {
+    // Start out with the last-used pen
+    renderer.tool = createPenTool(penSettings);
+
     // Pen and eraser button handlers
     pencilButton.addEventListener('click', () => {
         // Set the renderer tool to pen
-        renderer.tool = {
-            type: "pen",
-            color: '#000',
-            diameter: 2,
-            tolerance: 1.5,
-        };
+        renderer.tool = createPenTool(penSettings);
         
         // Update UI to show selected tool
         pencilButton.classList.add('selected');
         eraserButton.classList.remove('selected');
     });
     
+    /** @type {"stroke" | "partial"} */
+    let eraserMode = "stroke";
+
     eraserButton.addEventListener('click', () => {
+        // Clicking the selected eraser switches between whole-stroke and partial erasing
+        if (renderer.tool.type === "eraser") {
+            eraserMode = eraserMode === "stroke" ? "partial" : "stroke";
+        }
+
         // Set the renderer tool to eraser
         renderer.tool = {
             type: "eraser",
             diameter: 10,
+            mode: eraserMode,
         };
         
         // Update UI to show selected tool
         eraserButton.classList.add('selected');
+        eraserButton.classList.toggle('partial', eraserMode === "partial");
+        eraserButton.title = eraserMode === "partial"
+            ? "Partial eraser (click to erase whole strokes)"
+            : "Stroke eraser (click to erase partially)";
         pencilButton.classList.remove('selected');
     });
 
@@ -376,29 +1099,389 @@ function setupDrawingTools(pencilButton, eraserButton, noteDocument, renderer) {
     });
 }
 
+/**
+ * Sets up the pen color and width palette
+ * @param {HTMLElement} palette - The palette container element
+ * @param {HTMLButtonElement} pencilButton - The pencil button element
+ * @param {{color: string, diameter: number}} penSettings - The current pen settings, updated in place
+ */
+function setupPenPalette(palette, pencilButton, penSettings) {
+    const swatches = /** @type {NodeListOf<HTMLButtonElement>} */ (palette.querySelectorAll('.swatch'));
+    const colorInput = /** @type {HTMLInputElement} */ (palette.querySelector('#pen-color'));
+    const widthInput = /** @type {HTMLInputElement} */ (palette.querySelector('#pen-width'));
+
+    // Reflect the current settings in the palette
+    const updatePalette = () => {
+        let matched = false;
+        for (const swatch of swatches) {
+            const selected = swatch.dataset.color.toLowerCase() === penSettings.color.toLowerCase();
+            swatch.classList.toggle('selected', selected);
+            matched ||= selected;
+        }
+        colorInput.classList.toggle('selected', !matched);
+        colorInput.value = penSettings.color;
+        widthInput.value = String(penSettings.diameter);
+        widthInput.title = `Pen width: ${penSettings.diameter}`;
+    };
+
+    // Apply changed settings and switch to the pen
+    const applySettings = () => {
+        savePenSettings(penSettings);
+        updatePalette();
+        pencilButton.click();
+    };
+
+    for (const swatch of swatches) {
+        // Default ink follows the color scheme, so show it in the theme color
+        swatch.style.backgroundColor = swatch.dataset.color === DEFAULT_PEN_SETTINGS.color
+            ? 'var(--primary-color)'
+            : swatch.dataset.color;
+
+        swatch.addEventListener('click', () => {
+            penSettings.color = swatch.dataset.color;
+            applySettings();
+        });
+    }
+
+    colorInput.addEventListener('input', () => {
+        penSettings.color = colorInput.value;
+        applySettings();
+    });
+
+    widthInput.addEventListener('input', () => {
+        penSettings.diameter = parseFloat(widthInput.value) || DEFAULT_PEN_SETTINGS.diameter;
+        applySettings();
+    });
+
+    updatePalette();
+}
+
+/**
+ * Sets up the undo and redo button event handlers
+ * @param {HTMLButtonElement} undoButton - The undo button element
+ * @param {HTMLButtonElement} redoButton - The redo button element
+ * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
+ */
+function setupHistoryButtons(undoButton, redoButton, noteDocument, renderer) {
+    const history = renderer.documentEditor.history;
+
+    undoButton.addEventListener('click', () => {
+        if (renderer.documentEditor.undo()) updateDocument(noteDocument, renderer);
+    });
+
+    redoButton.addEventListener('click', () => {
+        if (renderer.documentEditor.redo()) updateDocument(noteDocument, renderer);
+    });
+
+    // Only enable the buttons when there is something to undo or redo
+    const updateButtons = () => {
+        undoButton.disabled = !history.canUndo();
+        redoButton.disabled = !history.canRedo();
+    };
+
+    history.addListener(updateButtons);
+    updateButtons();
+}
+
+/**
+ * Sets up keyboard shortcuts
+ * Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo (Cmd on macOS).
+ * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
+ */
+function setupKeyboardShortcuts(noteDocument, renderer) {
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        // Leave text fields to their native undo
+        const target = /** @type {HTMLElement} */ (e.target);
+        if (target?.closest?.('input, textarea, [contenteditable]')) return;
+
+        const key = e.key.toLowerCase();
+        let changed;
+
+        if (key === 'z' && !e.shiftKey) {
+            changed = renderer.documentEditor.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            changed = renderer.documentEditor.redo();
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        if (changed) updateDocument(noteDocument, renderer);
+    });
+}
+
+/**
+ * Sets up the note library button and dialog
+ * @param {HTMLButtonElement} libraryButton - The library button element
+ * @param {HTMLDialogElement} libraryDialog - The library dialog element
+ * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
+ * @param {Function} deserializeDocument - Function to deserialize SVG string
+ * @param {Function} createDefaultDocument - Function to create an empty document
+ */
+function setupLibraryButton(libraryButton, libraryDialog, noteDocument, renderer, deserializeDocument, createDefaultDocument) {
+    const form = libraryDialog.querySelector('form');
+    const searchInput = /** @type {HTMLInputElement} */ (form.elements.namedItem('search'));
+    const noteList = libraryDialog.querySelector('.note-list');
+    const errorText = libraryDialog.querySelector('.error');
+
+    // Shows the notes matching the search, most recently modified first
+    const updateList = async () => {
+        const notes = await openNote.library.list(searchInput.value);
+
+        noteList.replaceChildren(...notes.map((note) => {
+            const item = document.createElement('li');
+            item.dataset.id = note.id;
+            item.classList.toggle('current', note.id === openNote.id);
+
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'thumbnail';
+            thumbnail.alt = '';
+            if (note.thumbnail) thumbnail.src = note.thumbnail;
+
+            const title = document.createElement('button');
+            title.type = 'button';
+            title.className = 'title';
+            title.dataset.action = 'open';
+            title.textContent = note.title;
+            title.title = `Modified ${new Date(note.modified).toLocaleString()}`;
+
+            const actions = ['rename', 'duplicate', 'delete'].map((action) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.action = action;
+                button.textContent = action[0].toUpperCase() + action.slice(1);
+                return button;
+            });
+
+            item.append(thumbnail, title, ...actions);
+            return item;
+        }));
+
+        if (notes.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = searchInput.value ? 'No notes match the search.' : 'No notes yet.';
+            noteList.append(item);
+        }
+    };
+
+    // Reports a failed library action in the dialog
+    const showError = (message, error) => {
+        console.error(`${message}:`, error);
+        errorText.textContent = `${message}: ${error}`;
+    };
+
+    libraryButton.addEventListener('click', async () => {
+        if (!openNote.library) {
+            alert("The note library isn't available in this browser.");
+            return;
+        }
+
+        errorText.textContent = '';
+        searchInput.value = '';
+
+        // Store the open note first, so its thumbnail and order are up to date
+        await saveOpenNote(noteDocument, renderer);
+        try {
+            await updateList();
+        } catch (error) {
+            showError('Error listing notes', error);
+        }
+        libraryDialog.showModal();
+    });
+
+    searchInput.addEventListener('input', () => {
+        updateList().catch((error) => showError('Error searching notes', error));
+    });
+
+    // Enter in the search box shouldn't close the dialog
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') e.preventDefault();
+    });
+
+    noteList.addEventListener('click', async (e) => {
+        const button = /** @type {HTMLElement} */ (e.target).closest?.('button');
+        const id = button?.closest('li')?.dataset.id;
+        if (!button || !id) return;
+
+        const library = openNote.library;
+        errorText.textContent = '';
+
+        try {
+            switch (button.dataset.action) {
+                case 'open': {
+                    if (id !== openNote.id) {
+                        await saveOpenNote(noteDocument, renderer);
+                        openLibraryNote(await library.get(id), noteDocument, renderer, deserializeDocument);
+                    }
+                    libraryDialog.close();
+                    return;
+                }
+                case 'rename': {
+                    const note = await library.get(id);
+                    const title = prompt('Rename note', note.title);
+                    if (title === null) return;
+
+                    await library.rename(id, title);
+                    break;
+                }
+                case 'duplicate': {
+                    if (id === openNote.id) await saveOpenNote(noteDocument, renderer);
+                    await library.duplicate(id);
+                    break;
+                }
+                case 'delete': {
+                    const note = await library.get(id);
+                    if (!confirm(`Delete "${note.title}"? This can't be undone.`)) return;
+
+                    await library.delete(id);
+                    if (id === openNote.id) {
+                        // Open the most recent remaining note, or start a new one
+                        const [latest] = await library.list();
+                        if (latest) {
+                            openLibraryNote(await library.get(latest.id), noteDocument, renderer, deserializeDocument);
+                        } else {
+                            replaceDocument(noteDocument, createDefaultDocument());
+                            await createLibraryNote(noteDocument, renderer);
+                        }
+                    }
+                    break;
+                }
+                default:
+                    return;
+            }
+
+            await updateList();
+        } catch (error) {
+            showError(`Error trying to ${button.dataset.action} the note`, error);
+        }
+    });
+
+    form.addEventListener('submit', async (e) => {
+        // Closing leaves the open note as it is
+        const submitter = /** @type {HTMLButtonElement} */ (/** @type {SubmitEvent} */ (e).submitter);
+        if (submitter?.value !== 'new') return;
+
+        const title = prompt('Name the new note', UNTITLED_NOTE_TITLE);
+        if (title === null) {
+            e.preventDefault();
+            return;
+        }
+
+        try {
+            await saveOpenNote(noteDocument, renderer);
+            replaceDocument(noteDocument, createDefaultDocument());
+            await createLibraryNote(noteDocument, renderer, title.trim() || UNTITLED_NOTE_TITLE);
+        } catch (error) {
+            console.error('Error creating note:', error);
+            alert(`Error creating note: ${error}`);
+        }
+    });
+}
+
+/**
+ * Sets up the collaborate button and dialog for drawing together through a relay
+ * @param {HTMLButtonElement} collaborateButton - The collaborate button element
+ * @param {HTMLDialogElement} collaborateDialog - The dialog to join or leave a room in
+ * @param {Object} noteDocument - The note document
+ * @param {StrokeRenderer} renderer - The renderer instance
+ * @param {Function} deserializeDocument - Function to deserialize SVG string
+ */
+function setupCollaborateButton(collaborateButton, collaborateDialog, noteDocument, renderer, deserializeDocument) {
+    const form = collaborateDialog.querySelector('form');
+    const urlInput = /** @type {HTMLInputElement} */ (form.elements.namedItem('url'));
+    const roomInput = /** @type {HTMLInputElement} */ (form.elements.namedItem('room'));
+    const leaveButton = /** @type {HTMLButtonElement} */ (form.querySelector('button[value="leave"]'));
+    const statusText = collaborateDialog.querySelector('.status');
+    const errorText = collaborateDialog.querySelector('.error');
+
+    // Let the others see strokes while they're being drawn
+    renderer.addLiveStrokeListener((id, tool, points, done) => {
+        openNote.collaboration?.sendLiveStroke(id, tool, points, done);
+    });
+
+    collaborateButton.addEventListener('click', () => {
+        const collaboration = openNote.collaboration;
+
+        urlInput.value ||= DEFAULT_RELAY_URL;
+        roomInput.value ||= Math.random().toString(36).slice(2, 8);
+        statusText.textContent = collaboration ? `Drawing together in room "${collaboration.noteId}".` : '';
+        leaveButton.disabled = !collaboration;
+        errorText.textContent = '';
+        collaborateDialog.showModal();
+    });
+
+    form.addEventListener('submit', (e) => {
+        const submitter = /** @type {HTMLButtonElement} */ (/** @type {SubmitEvent} */ (e).submitter);
+
+        if (submitter?.value === 'leave') {
+            leaveCollaboration(renderer);
+        } else if (submitter?.value === 'join') {
+            try {
+                if (!/^wss?:$/.test(new URL(urlInput.value).protocol)) throw new Error('not a WebSocket URL');
+                joinCollaboration(urlInput.value, roomInput.value.trim(), noteDocument, renderer, deserializeDocument);
+                collaborateButton.classList.add('connected');
+            } catch (error) {
+                e.preventDefault();
+                errorText.textContent = `Can't join: ${error.message}.`;
+            }
+        }
+    });
+}
+
 /**
  * Sets up event handlers for all UI buttons
  * @param {Object} noteDocument - The note document to interact with
  * @param {StrokeRenderer} renderer - The renderer instance
  * @param {Function} deserializeDocument - Function to deserialize SVG string
+ * @param {Function} createDefaultDocument - Function to create an empty document
  */
-export function setupButtonHandlers(noteDocument, renderer, deserializeDocument) {
+export function setupButtonHandlers(noteDocument, renderer, deserializeDocument, createDefaultDocument) {
     // Get all buttons
     const saveButton = /** @type {HTMLButtonElement} */ (document.getElementById('save-button'));
     const copyButton = /** @type {HTMLButtonElement} */ (document.getElementById('copy-button'));
+    const copyModeButton = /** @type {HTMLButtonElement} */ (document.getElementById('copy-mode-button'));
+    const copyDialog = /** @type {HTMLDialogElement} */ (document.getElementById('copy-dialog'));
     const uploadButton = /** @type {HTMLButtonElement} */ (document.getElementById('upload-button'));
     const pasteButton = /** @type {HTMLButtonElement} */ (document.getElementById('paste-button'));
     const resizeButton = /** @type {HTMLButtonElement} */ (document.getElementById('resize-button'));
+    const resizeDialog = /** @type {HTMLDialogElement} */ (document.getElementById('resize-dialog'));
+    const fitButton = /** @type {HTMLButtonElement} */ (document.getElementById('fit-button'));
+    const pngButton = /** @type {HTMLButtonElement} */ (document.getElementById('png-button'));
+    const pngDialog = /** @type {HTMLDialogElement} */ (document.getElementById('png-dialog'));
+    const pdfButton = /** @type {HTMLButtonElement} */ (document.getElementById('pdf-button'));
+    const undoButton = /** @type {HTMLButtonElement} */ (document.getElementById('undo-button'));
+    const redoButton = /** @type {HTMLButtonElement} */ (document.getElementById('redo-button'));
+    const libraryButton = /** @type {HTMLButtonElement} */ (document.getElementById('library-button'));
+    const libraryDialog = /** @type {HTMLDialogElement} */ (document.getElementById('library-dialog'));
+    const collaborateButton = /** @type {HTMLButtonElement} */ (document.getElementById('collaborate-button'));
+    const collaborateDialog = /** @type {HTMLDialogElement} */ (document.getElementById('collaborate-dialog'));
     
     // Get pen and eraser buttons
     const pencilButton = /** @type {HTMLButtonElement} */ (document.getElementById('pencil-button'));
     const eraserButton = /** @type {HTMLButtonElement} */ (document.getElementById('eraser-button'));
+    const penPalette = document.getElementById('pen-palette');
+
+    // Restore the last-used pen settings
+    const penSettings = loadPenSettings(DEFAULT_PEN_SETTINGS);
     
     // Set up individual button handlers
-    setupSaveButton(saveButton, noteDocument);
-    setupCopyButton(copyButton, noteDocument);
+    setupSaveButton(saveButton, noteDocument, renderer);
+    setupCopyButton(copyButton, copyModeButton, copyDialog, noteDocument, renderer);
+    setupPngButton(pngButton, pngDialog, noteDocument, renderer);
+    setupPdfButton(pdfButton, noteDocument, renderer);
     setupUploadButton(uploadButton, noteDocument, renderer, deserializeDocument);
     setupPasteButton(pasteButton, noteDocument, renderer, deserializeDocument);
-    setupResizeButton(resizeButton, noteDocument, renderer);
-    setupDrawingTools(pencilButton, eraserButton, noteDocument, renderer);
+    setupResizeButton(resizeButton, resizeDialog, noteDocument, renderer);
+    setupFitButton(fitButton, noteDocument, renderer);
+    setupDrawingTools(pencilButton, eraserButton, noteDocument, renderer, penSettings);
+    setupPenPalette(penPalette, pencilButton, penSettings);
+    setupHistoryButtons(undoButton, redoButton, noteDocument, renderer);
+    setupKeyboardShortcuts(noteDocument, renderer);
+    setupLibraryButton(libraryButton, libraryDialog, noteDocument, renderer, deserializeDocument, createDefaultDocument);
+    setupCollaborateButton(collaborateButton, collaborateDialog, noteDocument, renderer, deserializeDocument);
 }
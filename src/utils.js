@@ -3,7 +3,8 @@
  */
 
 // Constants for localStorage
-const NOTESVG_STORAGE_KEY = 'notesvg-document';
+const NOTESVG_PEN_STORAGE_KEY = 'notesvg-pen';
+const NOTESVG_COPY_MODE_STORAGE_KEY = 'notesvg-copy-mode';
 
 /**
  * Rounds a number to a specified number of decimal places
@@ -15,13 +16,63 @@ export function roundNumber(num, decimals = 1) {
     return num.toFixed(decimals);
 }
 
+/**
+ * Pressure reported by pointers without pressure support
+ * @type {number}
+ */
+export const DEFAULT_PRESSURE = 0.5;
+
+/**
+ * Computes the stroke width for a pointer pressure
+ * The default pressure maps to the pen diameter, a light touch to a quarter
+ * of it and a full press to 1.75 times it.
+ * @param {number} diameter - The pen diameter
+ * @param {number} [pressure=DEFAULT_PRESSURE] - The pointer pressure between 0 and 1
+ * @returns {number} - The stroke width
+ */
+export function getPressureWidth(diameter, pressure = DEFAULT_PRESSURE) {
+    return diameter * (0.25 + 1.5 * pressure);
+}
+
+/**
+ * Matches an XML declaration, doctype or comment at the start of a string
+ * @type {RegExp}
+ */
+const LEADING_PROLOG_PATTERN = /^\s*(<\?[\s\S]*?\?>|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>|<!--[\s\S]*?-->)/i;
+
+/**
+ * Matches comments anywhere in a string
+ * @type {RegExp}
+ */
+const COMMENTS_PATTERN = /<!--[\s\S]*?-->/g;
+
 /**
  * Checks if a string is a valid SVG
+ * An XML declaration, doctype and comments may surround the <svg> element.
  * @param {string} text - The text to check
  * @returns {boolean} - True if the text is a valid SVG, false otherwise
  */
 export function isValidSvg(text) {
-    return text.trim().startsWith('<svg') && text.trim().endsWith('</svg>');
+    let svg = text;
+    while (LEADING_PROLOG_PATTERN.test(svg)) svg = svg.replace(LEADING_PROLOG_PATTERN, '');
+
+    const end = svg.lastIndexOf('</svg>');
+    const trailing = svg.slice(end + '</svg>'.length).replace(COMMENTS_PATTERN, '');
+
+    return svg.trim().startsWith('<svg') && end >= 0 && trailing.trim() === '';
+}
+
+/**
+ * Reads the current theme colors from the page's CSS variables
+ * @returns {{stroke: string, bg: string}} - The primary ink and background colors
+ */
+export function getThemeColors() {
+    const style = window.getComputedStyle(document.body);
+
+    return {
+        stroke: style.getPropertyValue('--primary-color').trim() || '#000',
+        bg: style.getPropertyValue('--primary-bg').trim() || '#fff',
+    };
 }
 
 /**
@@ -46,10 +97,23 @@ export function downloadBlob(blob, filename) {
     }, 0);
 }
 
+/**
+ * Encodes a canvas as an image
+ * @param {HTMLCanvasElement} canvas - The canvas to encode
+ * @param {string} [type="image/png"] - The image MIME type
+ * @returns {Promise<Blob>} - The encoded image
+ */
+export function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error('Failed to encode the canvas')), type);
+    });
+}
+
 /**
  * Parses a size string in the format "widthxheight"
  * @param {string} sizeStr - The size string to parse
- * @returns {{width: number, height: number}|null} - The parsed width and height, or null if invalid
+ * @returns {{width: number, height: number}|null} - The parsed width and height, or null if
+ *  invalid or not positive
  */
 export function parseSizeString(sizeStr) {
     const dims = sizeStr.split('x') || [];
@@ -57,7 +121,7 @@ export function parseSizeString(sizeStr) {
     const width = parseInt(dims[0]?.trim());
     const height = parseInt(dims[1]?.trim());
     
-    if (!isNaN(width) && !isNaN(height)) {
+    if (!isNaN(width) && !isNaN(height) && width > 0 && height > 0) {
         return { width, height };
     }
     
@@ -65,39 +129,89 @@ export function parseSizeString(sizeStr) {
 }
 
 /**
- * Saves the document to localStorage
- * @param {Object} document - The document to save
- * @param {Function} serializeDocument - Function to serialize the document
+ * Saves the last-used pen settings to localStorage
+ * @param {{color: string, diameter: number}} settings - The pen settings to save
  */
-export function saveToLocalStorage(document, serializeDocument) {
+export function savePenSettings(settings) {
     try {
-        // Serialize the document without adding the "Edit" link
-        const svgString = serializeDocument(document, false);
-        localStorage.setItem(NOTESVG_STORAGE_KEY, svgString);
-        console.log('Document saved to localStorage');
+        localStorage.setItem(NOTESVG_PEN_STORAGE_KEY, JSON.stringify({
+            color: settings.color,
+            diameter: settings.diameter
+        }));
     } catch (error) {
-        console.error('Failed to save document to localStorage:', error);
+        console.error('Failed to save pen settings to localStorage:', error);
     }
 }
 
 /**
- * Loads the document from localStorage
- * @param {Function} deserializeDocument - Function to deserialize the document
- * @param {Function} createDefaultDocument - Function to create a default document if none exists
- * @returns {Object} - The loaded document or a default document if none exists
+ * Loads the last-used pen settings from localStorage
+ * @param {{color: string, diameter: number}} defaults - The settings to use if none are stored
+ * @returns {{color: string, diameter: number}} - The loaded pen settings
  */
-export function loadFromLocalStorage(deserializeDocument, createDefaultDocument) {
+export function loadPenSettings(defaults) {
     try {
-        const svgString = localStorage.getItem(NOTESVG_STORAGE_KEY);
-        
-        if (svgString && isValidSvg(svgString)) {
-            console.log('Document loaded from localStorage');
-            return deserializeDocument(svgString);
+        const stored = JSON.parse(localStorage.getItem(NOTESVG_PEN_STORAGE_KEY) || 'null');
+
+        if (stored) {
+            return {
+                color: /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(stored.color) ? stored.color : defaults.color,
+                diameter: parseFloat(stored.diameter) > 0 ? parseFloat(stored.diameter) : defaults.diameter
+            };
         }
     } catch (error) {
-        console.error('Failed to load document from localStorage:', error);
+        console.error('Failed to load pen settings from localStorage:', error);
     }
-    
-    // Return a default document if none exists or if there was an error
-    return createDefaultDocument();
+
+    return { ...defaults };
+}
+
+/**
+ * Saves the last-used copy mode to localStorage
+ * @param {string} mode - The copy mode to save
+ */
+export function saveCopyMode(mode) {
+    try {
+        localStorage.setItem(NOTESVG_COPY_MODE_STORAGE_KEY, mode);
+    } catch (error) {
+        console.error('Failed to save copy mode to localStorage:', error);
+    }
+}
+
+/**
+ * Loads the last-used copy mode from localStorage
+ * @param {function(string): boolean} isValid - Checks if a stored mode is still supported
+ * @param {string} defaultMode - The mode to use if none is stored
+ * @returns {string} - The loaded copy mode
+ */
+export function loadCopyMode(isValid, defaultMode) {
+    try {
+        const stored = localStorage.getItem(NOTESVG_COPY_MODE_STORAGE_KEY);
+        if (stored && isValid(stored)) return stored;
+    } catch (error) {
+        console.error('Failed to load copy mode from localStorage:', error);
+    }
+
+    return defaultMode;
+}
+
+/**
+ * Converts a CSS color to the 6-digit hex colors note.svg uses
+ * Named colors are resolved by the browser's canvas, when there is one.
+ * @param {string} color - The color
+ * @returns {string} - The hex color, or the color unchanged if it can't be converted
+ */
+export function normalizeColor(color) {
+    const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+    if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toLowerCase();
+    if (/^#[0-9a-f]{6}$/i.test(color)) return color.toLowerCase();
+
+    const rgb = /^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)\s*([,/][^)]*)?\)$/i.exec(color);
+    if (rgb) {
+        return '#' + rgb.slice(1, 4).map((value) => ('0' + Math.min(255, parseInt(value)).toString(16)).slice(-2)).join('');
+    }
+
+    if (typeof document === 'undefined') return color;
+    const context = document.createElement('canvas').getContext('2d');
+    context.fillStyle = color;
+    return /^#[0-9a-f]{6}$/i.test(context.fillStyle) ? context.fillStyle : color;
 }
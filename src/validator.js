@@ -0,0 +1,382 @@
+/**
+ * note.svg validation for the note.svg application
+ *
+ * This module checks a parsed XML tree against the note.svg spec
+ * (notesvg-spec.md). It works on trees straight from txml.parse, before
+ * transform() moves attributes into noteSvgAttributes, so it can vet files
+ * before they are imported and check our own exports for conformance.
+ */
+
+import { NOTESVG_VERSION, compareVersions, isDeclaration } from "./notesvg.js";
+import { parsePathData } from "./path-data.js";
+import * as txml from "./txml.js";
+
+/**
+ * A problem found while validating
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - Where the problem is, i.e. "/svg/path[2]"
+ * @property {string} message - What the problem is
+ */
+
+/**
+ * The result of validating a document
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - True if there are no errors
+ * @property {Array<ValidationIssue>} errors - Violations of the spec
+ * @property {Array<ValidationIssue>} warnings - Content the spec doesn't cover or recommends against
+ */
+
+/**
+ * The SVG namespace required on the root element
+ * @type {string}
+ */
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/**
+ * Path data commands allowed by each version of the spec
+ * @type {Record<string, Array<string>>}
+ */
+const ALLOWED_PATH_COMMANDS = {
+    "1.0": ['M', 'L'],
+    "1.1": ['M', 'L', 'C'],
+};
+
+/**
+ * Attributes allowed on each element
+ * @type {Record<string, Array<string>>}
+ */
+export const ALLOWED_ATTRIBUTES = {
+    svg: ['xmlns', 'width', 'height', 'viewBox', 'style'],
+    metadata: [],
+    notesvg: ['version'],
+    path: ['d', 'stroke', 'stroke-width', 'stroke-opacity', 'fill', 'data-widths'],
+};
+
+/**
+ * Matches a number as used in attribute values
+ * @type {RegExp}
+ */
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Collects validation issues
+ */
+class ValidationReport {
+    constructor() {
+        /** @type {Array<ValidationIssue>} */
+        this.errors = [];
+        /** @type {Array<ValidationIssue>} */
+        this.warnings = [];
+    }
+
+    /**
+     * Records an error
+     * @param {string} path - Where the error is
+     * @param {string} message - What the error is
+     */
+    error(path, message) {
+        this.errors.push({ path, message });
+    }
+
+    /**
+     * Records a warning
+     * @param {string} path - Where the warning is
+     * @param {string} message - What the warning is
+     */
+    warn(path, message) {
+        this.warnings.push({ path, message });
+    }
+
+    /**
+     * Creates the final result
+     * @returns {ValidationResult}
+     */
+    toResult() {
+        return { valid: this.errors.length === 0, errors: this.errors, warnings: this.warnings };
+    }
+}
+
+/**
+ * Checks if an attribute value is a number
+ * @param {any} value - The attribute value
+ * @returns {boolean} - True if the value is a number
+ */
+function isNumeric(value) {
+    return typeof value === 'string' && NUMBER_PATTERN.test(value.trim());
+}
+
+/**
+ * Gets the element children of a node along with their paths
+ * Each child's path is its parent's path plus its tag name and its 1-based
+ * index among siblings with the same tag name.
+ * @param {import("./txml.js").tNode} node - The node
+ * @param {string} path - The node's path
+ * @returns {Array<{child: import("./txml.js").tNode, path: string}>} - The element children
+ */
+function getElementChildren(node, path) {
+    const counts = {};
+    const elements = [];
+
+    for (const child of node.children || []) {
+        if (typeof child === 'string' || isDeclaration(child)) continue;
+        counts[child.tagName] = (counts[child.tagName] || 0) + 1;
+        elements.push({ child, path: `${path}/${child.tagName}[${counts[child.tagName]}]` });
+    }
+
+    return elements;
+}
+
+/**
+ * Warns about attributes an element isn't allowed to have
+ * @param {import("./txml.js").tNode} node - The element
+ * @param {string} path - The element's path
+ * @param {ValidationReport} report - The report to add issues to
+ */
+function checkAttributes(node, path, report) {
+    const allowed = ALLOWED_ATTRIBUTES[node.tagName] || [];
+
+    for (const name in node.attributes) {
+        if (allowed.indexOf(name) < 0) {
+            report.warn(path, `Attribute "${name}" is not part of note.svg and may be dropped`);
+        }
+    }
+}
+
+/**
+ * Warns about text content in an element
+ * @param {import("./txml.js").tNode} node - The element
+ * @param {string} path - The element's path
+ * @param {ValidationReport} report - The report to add issues to
+ */
+function checkNoText(node, path, report) {
+    for (const child of node.children || []) {
+        if (typeof child === 'string' && child.trim()) {
+            report.warn(path, 'Text content is not part of note.svg and may be dropped');
+        }
+    }
+}
+
+/**
+ * Validates the <metadata> element
+ * @param {import("./txml.js").tNode} node - The element
+ * @param {string} path - The element's path
+ * @param {ValidationReport} report - The report to add issues to
+ * @returns {string|null} - The declared version, if valid
+ */
+function validateMetadata(node, path, report) {
+    checkAttributes(node, path, report);
+
+    const notesvgs = getElementChildren(node, path).filter(({ child }) => child.tagName === 'notesvg');
+
+    if (notesvgs.length === 0) {
+        report.error(path, 'Metadata must contain a <notesvg> element');
+        return null;
+    }
+    if (notesvgs.length > 1) {
+        report.warn(path, 'Metadata should contain only one <notesvg> element');
+    }
+
+    let declared = null;
+    for (const { child, path: childPath } of notesvgs) {
+        checkAttributes(child, childPath, report);
+
+        const version = child.attributes.version;
+        if (version === undefined || version === null) {
+            report.error(childPath, 'The version attribute is required');
+        } else if (!/^\d+\.\d+$/.test(String(version).trim())) {
+            report.error(childPath, `Version "${version}" is not of the form "major.minor"`);
+        } else {
+            declared ||= String(version).trim();
+        }
+    }
+
+    return declared;
+}
+
+/**
+ * Validates a <path> element
+ * @param {import("./txml.js").tNode} node - The element
+ * @param {string} path - The element's path
+ * @param {ValidationReport} report - The report to add issues to
+ * @param {Array<string>} allowedCommands - The path data commands allowed by the document's version
+ */
+function validatePath(node, path, report, allowedCommands) {
+    checkAttributes(node, path, report);
+    const { d, stroke, fill } = node.attributes;
+
+    // Path data
+    let commandCount = null;
+    if (typeof d !== 'string' || !d.trim()) {
+        report.error(path, 'The d attribute is required');
+    } else {
+        const letters = d.match(/[a-zA-Z]/g) || [];
+        const disallowed = letters.filter((letter) => allowedCommands.indexOf(letter) < 0);
+
+        if (disallowed.length > 0) {
+            const unique = disallowed.filter((letter, i) => disallowed.indexOf(letter) === i);
+            report.error(path, `Path data uses commands not allowed by the spec: ${unique.join(', ')}`
+                + ` (allowed: ${allowedCommands.join(', ')})`);
+        } else if (letters[0] !== 'M') {
+            report.error(path, 'Path data must start with an M command');
+        } else {
+            try {
+                commandCount = parsePathData(d).length;
+            } catch (error) {
+                report.error(path, `Invalid path data: ${error.message}`);
+            }
+        }
+    }
+
+    // Stroke
+    if (stroke === undefined) {
+        report.warn(path, 'The stroke attribute is missing; readers will assume black');
+    } else if (!/^#[0-9a-fA-F]{6}$/.test(String(stroke).trim())) {
+        report.error(path, `Stroke "${stroke}" is not a 6-digit hex color`);
+    }
+
+    // Stroke width
+    const strokeWidth = node.attributes['stroke-width'];
+    if (strokeWidth === undefined) {
+        report.warn(path, 'The stroke-width attribute is missing; readers will assume 1');
+    } else if (!isNumeric(strokeWidth) || parseFloat(strokeWidth) <= 0) {
+        report.error(path, `Stroke width "${strokeWidth}" is not a positive number`);
+    }
+
+    // Stroke opacity
+    const strokeOpacity = node.attributes['stroke-opacity'];
+    if (strokeOpacity !== undefined) {
+        const opacity = parseFloat(strokeOpacity);
+        if (!isNumeric(strokeOpacity) || opacity < 0 || opacity > 1) {
+            report.error(path, `Stroke opacity "${strokeOpacity}" is not a number between 0 and 1`);
+        }
+    }
+
+    // Variable widths
+    const widths = node.attributes['data-widths'];
+    if (widths !== undefined) {
+        const values = String(widths).trim().split(/[\s,]+/);
+        if (!values.every((value) => isNumeric(value) && parseFloat(value) >= 0)) {
+            report.error(path, 'data-widths must be a list of non-negative numbers');
+        } else if (commandCount !== null && values.length !== commandCount) {
+            report.error(path, `data-widths has ${values.length} widths for ${commandCount} path commands`);
+        }
+    }
+
+    // Fill
+    if (fill === undefined) {
+        report.warn(path, 'The fill attribute is missing; SVG viewers will fill the path');
+    } else if (fill !== 'none') {
+        report.error(path, `Fill must be "none", not "${fill}"`);
+    }
+
+    if (getElementChildren(node, path).length > 0) {
+        report.error(path, 'Paths must not have child elements');
+    }
+    checkNoText(node, path, report);
+}
+
+/**
+ * Validates a parsed note.svg tree
+ * @param {import("./txml.js").tNode | string} root - The root node, as returned by txml.parse
+ * @returns {ValidationResult} - The errors and warnings found
+ */
+export function validateNoteSvg(root) {
+    const report = new ValidationReport();
+
+    if (!root || typeof root === 'string' || root.tagName !== 'svg') {
+        report.error('/', 'The root element must be <svg>');
+        return report.toResult();
+    }
+
+    const path = '/svg';
+    const { xmlns, width, height, viewBox } = root.attributes;
+    checkAttributes(root, path, report);
+
+    if (xmlns === undefined) {
+        report.error(path, `The xmlns attribute is required and must be "${SVG_NAMESPACE}"`);
+    } else if (xmlns !== SVG_NAMESPACE) {
+        report.error(path, `xmlns must be "${SVG_NAMESPACE}", not "${xmlns}"`);
+    }
+
+    if ((width === undefined || height === undefined) && viewBox === undefined) {
+        report.error(path, 'Either width and height or a viewBox is required');
+    }
+    for (const [name, value] of [['width', width], ['height', height]]) {
+        if (value !== undefined && (!isNumeric(value) || parseFloat(value) <= 0)) {
+            report.error(path, `${name} "${value}" is not a positive number`);
+        }
+    }
+    if (viewBox !== undefined) {
+        const values = String(viewBox).trim().split(/[\s,]+/);
+        if (values.length !== 4 || !values.every(isNumeric)) {
+            report.error(path, `viewBox "${viewBox}" is not a list of four numbers`);
+        }
+    }
+
+    const children = getElementChildren(root, path);
+    const metadata = children.filter(({ child }) => child.tagName === 'metadata');
+
+    if (metadata.length === 0) {
+        report.warn(path, 'There is no <metadata> element, so the note.svg version is unknown');
+    } else if (children[0].child.tagName !== 'metadata') {
+        report.warn(path, 'The <metadata> element should be the first element');
+    }
+    if (metadata.length > 1) {
+        report.warn(path, 'There should be only one <metadata> element');
+    }
+
+    // The version decides which path commands are allowed
+    let version = null;
+    for (const { child, path: childPath } of metadata) {
+        version ||= validateMetadata(child, childPath, report);
+    }
+
+    if (version === null) {
+        version = NOTESVG_VERSION;
+    } else if (compareVersions(version, NOTESVG_VERSION) > 0) {
+        report.warn(path, `Version ${version} is newer than the supported version ${NOTESVG_VERSION}`);
+        version = NOTESVG_VERSION;
+    } else if (!ALLOWED_PATH_COMMANDS[version]) {
+        report.warn(path, `Version ${version} is unknown; validating as version ${NOTESVG_VERSION}`);
+        version = NOTESVG_VERSION;
+    }
+
+    for (const { child, path: childPath } of children) {
+        switch (child.tagName) {
+            case 'metadata':
+                // Validated above
+                break;
+            case 'path':
+                validatePath(child, childPath, report, ALLOWED_PATH_COMMANDS[version]);
+                break;
+            default:
+                report.warn(childPath, `Element <${child.tagName}> is not part of note.svg and may be dropped`);
+                break;
+        }
+    }
+    checkNoText(root, path, report);
+
+    return report.toResult();
+}
+
+/**
+ * Parses and validates a note.svg string
+ * @param {string} svgString - The SVG string
+ * @returns {ValidationResult} - The errors and warnings found
+ */
+export function validateNoteSvgString(svgString) {
+    let nodes;
+    try {
+        nodes = txml.parse(svgString);
+    } catch (error) {
+        return {
+            valid: false,
+            errors: [{ path: '/', message: `Malformed XML: ${error.message}` }],
+            warnings: []
+        };
+    }
+
+    // Skip the XML declaration and other prolog nodes
+    const root = nodes.find((node) => typeof node !== 'string' && node.tagName[0] !== '?');
+    return validateNoteSvg(root);
+}
@@ -0,0 +1,40 @@
+/**
+ * Tests for importing SVG drawings made elsewhere
+ *
+ * Run with: node --test test/
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { importSvgDrawing } from "../src/importer.js";
+import { parseSvgDocument } from "../src/notesvg.js";
+
+/**
+ * Parses an SVG string the way the editor does before importing it
+ * @param {string} svgString - The SVG string
+ * @returns {import("../src/notesvg.js").SvgNode} - The root <svg> node
+ */
+function parse(svgString) {
+    return /** @type {import("../src/notesvg.js").SvgNode} */ (parseSvgDocument(svgString));
+}
+
+describe('importSvgDrawing', () => {
+    it('leaves the size of a document with nothing to convert unchanged', () => {
+        const root = parse('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 50">'
+            + '<path d="M 0 0 L 10 10" stroke="currentColor" fill="none"/></svg>');
+
+        assert.equal(importSvgDrawing(root), 0);
+        assert.equal(root.attributes.width, undefined);
+        assert.equal(root.attributes.height, undefined);
+        assert.equal(root.attributes.viewBox, '0 0 100 50');
+    });
+
+    it('takes a missing size from the viewBox when it converts shapes', () => {
+        const root = parse('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 50">'
+            + '<rect x="10" y="10" width="20" height="20" stroke="red" fill="none"/></svg>');
+
+        assert.equal(importSvgDrawing(root), 1);
+        assert.equal(root.attributes.width, '100');
+        assert.equal(root.attributes.height, '50');
+    });
+});
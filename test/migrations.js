@@ -0,0 +1,86 @@
+/**
+ * Tests for upgrading documents from older spec versions
+ *
+ * Run with: node --test test/
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { UnsupportedVersionError, getDocumentVersion, migrateDocument, registerMigration } from "../src/migrations.js";
+import { NOTESVG_VERSION, parseSvgDocument, transform } from "../src/notesvg.js";
+
+/**
+ * Parses and transforms a document the way the editor does before migrating it
+ * @param {string|null} version - The version the document declares, or null for no metadata
+ * @returns {import("../src/notesvg.js").SvgNode} - The root <svg> node
+ */
+function createDocument(version) {
+    const metadata = version === null ? '' : `<metadata><notesvg version="${version}"/></metadata>`;
+    const root = /** @type {import("../src/notesvg.js").SvgNode} */ (parseSvgDocument(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">${metadata}</svg>`));
+    transform(root);
+    return root;
+}
+
+describe('getDocumentVersion', () => {
+    it('reads the declared version, if any', () => {
+        assert.equal(getDocumentVersion(createDocument(' 1.0 ')), '1.0');
+        assert.equal(getDocumentVersion(createDocument(null)), null);
+    });
+});
+
+describe('migrateDocument', () => {
+    it('leaves documents of the current version as they are', () => {
+        const root = createDocument(NOTESVG_VERSION);
+
+        assert.deepEqual(migrateDocument(root), { from: NOTESVG_VERSION, to: NOTESVG_VERSION, steps: [] });
+        assert.equal(getDocumentVersion(root), NOTESVG_VERSION);
+    });
+
+    it('upgrades older documents one version at a time', () => {
+        const root = createDocument('0.1');
+
+        assert.deepEqual(migrateDocument(root), { from: '0.1', to: '1.1', steps: ['0.1 -> 1.0', '1.0 -> 1.1'] });
+        assert.equal(getDocumentVersion(root), '1.1');
+    });
+
+    it('treats documents without a version as 1.0 and declares the new one', () => {
+        const root = createDocument(null);
+
+        assert.deepEqual(migrateDocument(root).steps, ['1.0 -> 1.1']);
+        assert.equal(getDocumentVersion(root), NOTESVG_VERSION);
+    });
+
+    it('loads documents from a newer minor version as they are, with a warning', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const root = createDocument('1.9');
+
+        assert.deepEqual(migrateDocument(root), { from: '1.9', to: '1.9', steps: [] });
+        assert.equal(getDocumentVersion(root), '1.9');
+        assert.equal(warn.mock.callCount(), 1);
+    });
+
+    it('refuses documents from a newer major version', () => {
+        assert.throws(() => migrateDocument(createDocument('2.0')), (error) => {
+            assert.ok(error instanceof UnsupportedVersionError);
+            assert.equal(error.version, '2.0');
+            return true;
+        });
+    });
+
+    it('loads documents from versions without a migration as they are, with a warning', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const root = createDocument('0.5');
+
+        assert.deepEqual(migrateDocument(root), { from: '0.5', to: '0.5', steps: [] });
+        assert.equal(getDocumentVersion(root), '0.5');
+        assert.equal(warn.mock.callCount(), 1);
+    });
+});
+
+describe('registerMigration', () => {
+    it('only accepts migrations to a later version', () => {
+        assert.throws(() => registerMigration('1.1', '1.1', () => {}), /must upgrade to a later version/);
+        assert.throws(() => registerMigration('1.1', '1.0', () => {}), /must upgrade to a later version/);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the WebSocket relay's framing and origin check
+ *
+ * Run with: node --test test/
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { decodeFrame, encodeFrame, isAllowedOrigin, readAllowedOrigins } from "../relay/relay.js";
+
+/**
+ * Encodes a frame the way a client sends it, masked
+ * @param {number} opcode - The frame opcode
+ * @param {Buffer} payload - The payload
+ * @param {boolean} [fin=true] - Whether the frame ends its message
+ * @returns {Buffer} - The frame
+ */
+function encodeClientFrame(opcode, payload, fin = true) {
+    const frame = encodeFrame(opcode, payload);
+    const headerLength = frame.length - payload.length;
+    const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+
+    const header = Buffer.from(frame.subarray(0, headerLength));
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    header[1] |= 0x80;
+    const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+
+    return Buffer.concat([header, mask, masked]);
+}
+
+describe('encodeFrame', () => {
+    it('writes short payloads with a two-byte header', () => {
+        const frame = encodeFrame(0x1, Buffer.from('hi'));
+
+        assert.deepEqual([...frame], [0x81, 2, 0x68, 0x69]);
+    });
+
+    it('writes 16-bit and 64-bit lengths for longer payloads', () => {
+        const medium = encodeFrame(0x2, Buffer.alloc(126));
+        assert.equal(medium[1], 126);
+        assert.equal(medium.readUInt16BE(2), 126);
+        assert.equal(medium.length, 4 + 126);
+
+        const long = encodeFrame(0x2, Buffer.alloc(65536));
+        assert.equal(long[1], 127);
+        assert.equal(long.readBigUInt64BE(2), 65536n);
+        assert.equal(long.length, 10 + 65536);
+    });
+});
+
+describe('decodeFrame', () => {
+    it('unmasks a client frame and reports its size', () => {
+        const payload = Buffer.from('{"type":"hello"}');
+        const frame = encodeClientFrame(0x1, payload);
+
+        assert.deepEqual(decodeFrame(Buffer.concat([frame, Buffer.from([0x81])])),
+            { fin: true, opcode: 0x1, payload, length: frame.length });
+    });
+
+    it('reads fragments and longer lengths', () => {
+        const payload = Buffer.alloc(70000, 'a');
+        const frame = decodeFrame(encodeClientFrame(0x0, payload, false));
+
+        assert.equal(frame.fin, false);
+        assert.equal(frame.opcode, 0x0);
+        assert.deepEqual(frame.payload, payload);
+    });
+
+    it('waits for frames that haven\'t fully arrived', () => {
+        const frame = encodeClientFrame(0x1, Buffer.alloc(200));
+
+        for (const length of [0, 1, 3, 7, frame.length - 1]) {
+            assert.equal(decodeFrame(frame.subarray(0, length)), null);
+        }
+    });
+
+    it('rejects unmasked frames', () => {
+        assert.throws(() => decodeFrame(encodeFrame(0x1, Buffer.from('hi'))), /Unmasked client frame/);
+    });
+
+    it('rejects frames that are too large before they arrive', () => {
+        const header = Buffer.alloc(10);
+        header[0] = 0x82;
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(2n ** 40n, 2);
+
+        assert.throws(() => decodeFrame(header), /Frame too large/);
+    });
+});
+
+describe('isAllowedOrigin', () => {
+    it('allows only pages served from this machine by default', () => {
+        for (const origin of ['http://localhost:8000', 'https://127.0.0.1', 'http://[::1]:3000']) {
+            assert.ok(isAllowedOrigin(origin, []), origin);
+        }
+        for (const origin of [undefined, '', 'null', 'https://evil.example', 'http://localhost.evil.example',
+            'file://localhost', 'not a url']) {
+            assert.ok(!isAllowedOrigin(origin, []), String(origin));
+        }
+    });
+
+    it('allows only the given origins when there are any', () => {
+        const allowed = ['https://notes.example.com'];
+
+        assert.ok(isAllowedOrigin('https://notes.example.com', allowed));
+        assert.ok(!isAllowedOrigin('http://notes.example.com', allowed));
+        assert.ok(!isAllowedOrigin('http://localhost', allowed));
+        assert.ok(!isAllowedOrigin(undefined, allowed));
+    });
+});
+
+describe('readAllowedOrigins', () => {
+    it('reads origins from the arguments before the environment', () => {
+        assert.deepEqual(readAllowedOrigins(['https://a.example/'], 'https://b.example'), ['https://a.example']);
+        assert.deepEqual(readAllowedOrigins([], ' https://a.example, https://b.example/ ,'),
+            ['https://a.example', 'https://b.example']);
+        assert.deepEqual(readAllowedOrigins([], undefined), []);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Round-trip check for the note.svg application
+ *
+ * Parses every SVG in test/fixtures/roundtrip, transforms and sanitizes it
+ * the way the editor does when opening a file, writes it back and compares
+ * the result with the original byte for byte. Each tree is also written
+ * without what was recorded about its source, which escapes all text, and
+ * must parse back to the same tree. Exits with a non-zero status if any
+ * fixture comes back changed.
+ *
+ * Run with: node test/roundtrip.js
+ */
+
+import { readdirSync, readFileSync } from "node:fs";
+import { parseSvgDocument, toSvgDocument, transform } from "../src/notesvg.js";
+import { sanitizeSvg } from "../src/sanitizer.js";
+
+const FIXTURE_DIRECTORY = new URL('./fixtures/roundtrip/', import.meta.url);
+
+/**
+ * Where the editor the fixtures were exported from ran, which their "Edit" links point to
+ * @type {string}
+ */
+const EDIT_LINK_HREF = '/note.svg/';
+
+/**
+ * Parses an SVG string the way the editor does when opening a file
+ * @param {string} svgString - The SVG string
+ * @returns {import("../src/notesvg.js").SvgNode} - The sanitized tree
+ */
+function readSvg(svgString) {
+    const root = parseSvgDocument(svgString);
+    transform(root);
+    sanitizeSvg(root, false, EDIT_LINK_HREF);
+    return root;
+}
+
+/**
+ * Writes a tree as JSON, leaving out what was recorded about its source
+ * Attributes added when writing, like a default stroke, are appended to the
+ * parsed order, so the order isn't compared either.
+ * @param {import("../src/notesvg.js").SvgNode} root - The tree
+ * @returns {string} - The JSON
+ */
+function describeTree(root) {
+    return JSON.stringify(root, (key, value) => (key === 'source' || key === 'attributeOrder') ? undefined : value);
+}
+
+/**
+ * Finds the first line where two strings differ
+ * @param {string} expected - The original text
+ * @param {string} actual - The text written back
+ * @returns {string} - A description of the first difference
+ */
+function describeDifference(expected, actual) {
+    const expectedLines = expected.split('\n');
+    const actualLines = actual.split('\n');
+    const line = expectedLines.findIndex((text, i) => text !== actualLines[i]);
+    const index = line < 0 ? expectedLines.length : line;
+    return `line ${index + 1}\n  expected: ${JSON.stringify(expectedLines[index])}`
+        + `\n  actual:   ${JSON.stringify(actualLines[index])}`;
+}
+
+let failures = 0;
+const fixtures = readdirSync(FIXTURE_DIRECTORY).filter((name) => name.endsWith('.svg')).sort();
+
+for (const name of fixtures) {
+    const original = readFileSync(new URL(name, FIXTURE_DIRECTORY), 'utf8');
+    let written;
+    let sameTree;
+    try {
+        const root = readSvg(original);
+        written = toSvgDocument(root);
+        sameTree = describeTree(readSvg(toSvgDocument(JSON.parse(describeTree(root))))) === describeTree(root);
+    } catch (error) {
+        failures++;
+        console.log(`FAIL ${name}: ${error.message}`);
+        continue;
+    }
+
+    if (written !== original) {
+        failures++;
+        console.log(`FAIL ${name}: changed at ${describeDifference(original, written)}`);
+    } else if (!sameTree) {
+        failures++;
+        console.log(`FAIL ${name}: parsed differently after writing it without its source`);
+    } else {
+        console.log(`ok   ${name}`);
+    }
+}
+
+console.log(`\n${fixtures.length - failures} of ${fixtures.length} fixtures round-tripped unchanged`);
+if (failures > 0) process.exitCode = 1;
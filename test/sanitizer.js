@@ -0,0 +1,137 @@
+/**
+ * Tests for the SVG sanitizer
+ *
+ * Run with: node --test test/
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createEditLink, parseSvgDocument, toSvg, toSvgDocument, transform } from "../src/notesvg.js";
+import { UnsafeSvgError, sanitizeSvg } from "../src/sanitizer.js";
+
+/**
+ * Where the editor runs in these tests
+ * @type {string}
+ */
+const EDITOR_PATH = '/note.svg/';
+
+/**
+ * The "Edit" link as the editor writes it
+ * @type {string}
+ */
+const EDIT_LINK = toSvg(createEditLink(EDITOR_PATH));
+
+/**
+ * Wraps content in a note.svg document
+ * @param {string} content - The root element's content
+ * @returns {string} - The document
+ */
+function createSvg(content) {
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">'
+        + `<metadata><notesvg version="1.1"/></metadata>${content}</svg>`;
+}
+
+/**
+ * Parses and sanitizes an SVG string the way the editor does when opening a file
+ * @param {string} svgString - The SVG string
+ * @param {boolean} [strict=false] - Whether to reject the SVG instead of stripping it
+ * @returns {{root: import("../src/notesvg.js").SvgNode, removed: Array<import("../src/sanitizer.js").SanitizeIssue>}}
+ *  - The sanitized tree and what was removed
+ */
+function sanitize(svgString, strict = false) {
+    const root = /** @type {import("../src/notesvg.js").SvgNode} */ (parseSvgDocument(svgString));
+    transform(root);
+    const removed = sanitizeSvg(root, strict, EDITOR_PATH);
+    return { root, removed };
+}
+
+/**
+ * Collects the tag names of all elements in a tree
+ * @param {import("../src/notesvg.js").SvgNode | string} node - The root of the tree
+ * @returns {Array<string>} - The tag names, in document order
+ */
+function collectTagNames(node) {
+    if (typeof node === 'string') return [];
+    return [node.tagName, ...(node.children || []).flatMap(collectTagNames)];
+}
+
+describe('sanitizeSvg', () => {
+    describe('links', () => {
+        it('keeps the editor\'s own "Edit" link at the top level', () => {
+            const { root, removed } = sanitize(createSvg(EDIT_LINK));
+
+            assert.deepEqual(removed, []);
+            assert.ok(collectTagNames(root).includes('a'));
+        });
+
+        it('removes the "Edit" link when it is nested', () => {
+            const { root, removed } = sanitize(createSvg(`<text x="0" y="10">${EDIT_LINK}</text>`));
+
+            assert.equal(removed.length, 1);
+            assert.equal(removed[0].path, '/svg/text[1]/a[1]');
+            assert.ok(!collectTagNames(root).includes('a'));
+        });
+
+        it('removes links anywhere else or to anywhere else', () => {
+            const otherLink = EDIT_LINK.replace(EDITOR_PATH, 'https://example.com/');
+            const { root, removed } = sanitize(createSvg(otherLink + '<a href="/note.svg/"><path d="M 0 0 L 1 1"/></a>'));
+
+            assert.equal(removed.length, 2);
+            assert.ok(!collectTagNames(root).includes('a'));
+        });
+
+        it('keeps only the first "Edit" link', () => {
+            const { root, removed } = sanitize(createSvg(EDIT_LINK + EDIT_LINK));
+
+            assert.deepEqual(removed.map((issue) => issue.path), ['/svg/a[2]']);
+            assert.equal(collectTagNames(root).filter((name) => name === 'a').length, 1);
+        });
+
+        it('removes an "Edit" link with extra attributes', () => {
+            const { removed } = sanitize(createSvg(EDIT_LINK.replace('<a ', '<a rel="opener" ')));
+
+            assert.equal(removed.length, 1);
+        });
+
+        it('rejects nested links in strict mode', () => {
+            assert.throws(() => sanitize(createSvg(`<text>${EDIT_LINK}</text>`), true), UnsafeSvgError);
+        });
+    });
+
+    describe('text', () => {
+        it('keeps text that decodes to markup as text', () => {
+            const text = '&lt;!-- x --&gt;&lt;script&gt;alert(1)&lt;/script&gt; >';
+            const { root, removed } = sanitize(createSvg(`<text x="0" y="10">${text}</text>`));
+            const written = toSvgDocument(root);
+
+            assert.deepEqual(removed, []);
+            assert.ok(!written.includes('<script'));
+            assert.ok(!written.includes('<!--'));
+
+            const reread = sanitize(written).root;
+            assert.deepEqual(collectTagNames(reread), collectTagNames(root));
+            assert.equal(reread.children[1].children[0], '<!-- x --><script>alert(1)</script> >');
+        });
+
+        it('writes CDATA content as escaped text', () => {
+            const { root } = sanitize(createSvg('<text><![CDATA[<script>alert(1)</script>]]></text>'));
+
+            assert.ok(toSvgDocument(root).includes('<text>&lt;script&gt;alert(1)&lt;/script&gt;</text>'));
+        });
+
+        it('removes text outside text elements', () => {
+            const { root, removed } = sanitize(createSvg('stray<path d="M 0 0 L 1 1">text</path>'));
+
+            assert.equal(removed.length, 2);
+            assert.ok(!toSvgDocument(root).includes('text<'));
+            assert.ok(!toSvgDocument(root).includes('stray'));
+        });
+
+        it('keeps comments as comments', () => {
+            const { root, removed } = sanitize(createSvg('<!-- note --><text>&lt;!-- text --&gt;</text>'));
+
+            assert.deepEqual(removed, []);
+            assert.ok(toSvgDocument(root).includes('<!-- note --><text>&lt;!-- text --&gt;</text>'));
+        });
+    });
+});
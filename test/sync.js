@@ -0,0 +1,179 @@
+/**
+ * Tests for checking what other editors send
+ *
+ * Run with: node --test test/
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DocumentEditor } from "../src/document-editor.js";
+import { parseSvgDocument, toSvg, transform } from "../src/notesvg.js";
+import { NoteSync, sanitizePath, sanitizeSize } from "../src/sync.js";
+
+/**
+ * ID of the note the tests sync
+ * @type {string}
+ */
+const NOTE_ID = 'note';
+
+/**
+ * Creates a path the way other editors send it
+ * @param {Record<string, any>} [noteSvgAttributes={}] - Attributes that replace the defaults
+ * @param {Record<string, any>} [attributes={}] - Markup attributes that replace the defaults
+ * @returns {any} - The path
+ */
+function createPath(noteSvgAttributes = {}, attributes = {}) {
+    return {
+        tagName: 'path',
+        attributes: { d: 'M 0 0 L 10 10', fill: 'none', ...attributes },
+        noteSvgAttributes: { stroke: '#ff0000', strokeWidth: 2, ...noteSvgAttributes },
+        children: []
+    };
+}
+
+/**
+ * Opens a note for syncing over a transport the test sends messages through
+ * @returns {{sync: NoteSync, receive: function(any): void, sent: Array<any>, changes: Array<boolean>}}
+ *  - The sync, a function that delivers a message to it, what it sent and its onChange calls
+ */
+function openNote() {
+    const root = /** @type {any} */ (parseSvgDocument(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100"><metadata><notesvg version="1.1"/></metadata></svg>'));
+    transform(root);
+
+    const sent = [];
+    const changes = [];
+    let listener = null;
+    const transport = {
+        send: (message) => sent.push(message),
+        addListener: (callback) => { listener = callback; },
+        close: () => {}
+    };
+    const sync = new NoteSync(new DocumentEditor(root, { useSpatialIndex: false }), transport, {
+        onChange: (resized) => changes.push(resized),
+        onReplace: () => {}
+    });
+    sync.open(NOTE_ID);
+    sent.length = 0;
+
+    return { sync, receive: (message) => listener({ from: 'other', noteId: NOTE_ID, ...message }), sent, changes };
+}
+
+/**
+ * Gets the paths in a synced note
+ * @param {NoteSync} sync - The sync
+ * @returns {Array<any>} - The paths
+ */
+function getPaths(sync) {
+    return sync.document.children.filter((child) => typeof child !== 'string' && child.tagName === 'path');
+}
+
+describe('sanitizePath', () => {
+    it('keeps only what a note.svg path may have', () => {
+        const path = createPath({ strokeOpacity: 0.5, widths: [1, 2], onclick: 'alert(1)' },
+            { id: 'x', style: 'fill: url(https://example.com/)', onclick: 'alert(1)' });
+
+        assert.deepEqual(sanitizePath(path), {
+            tagName: 'path',
+            attributes: { d: 'M 0 0 L 10 10', fill: 'none' },
+            noteSvgAttributes: { stroke: '#ff0000', strokeWidth: 2, strokeOpacity: 0.5, widths: [1, 2] },
+            children: []
+        });
+    });
+
+    it('drops a fill other than none', () => {
+        assert.deepEqual(sanitizePath(createPath({}, { fill: 'url(#gradient)' })).attributes, { d: 'M 0 0 L 10 10' });
+    });
+
+    it('rejects paths with children or that aren\'t paths', () => {
+        assert.equal(sanitizePath({ ...createPath(), children: ['text'] }), null);
+        assert.equal(sanitizePath({ ...createPath(), tagName: 'script' }), null);
+        assert.equal(sanitizePath('<path/>'), null);
+        assert.equal(sanitizePath(null), null);
+    });
+
+    it('rejects colors that could load a resource', () => {
+        assert.equal(sanitizePath(createPath({ stroke: 'url(https://example.com/)' })), null);
+        assert.equal(sanitizePath(createPath({ stroke: '#12345' })), null);
+    });
+
+    it('rejects sizes and opacities that aren\'t numbers in range', () => {
+        assert.equal(sanitizePath(createPath({ strokeWidth: '2' })), null);
+        assert.equal(sanitizePath(createPath({ strokeWidth: -1 })), null);
+        assert.equal(sanitizePath(createPath({ strokeOpacity: 2 })), null);
+        assert.equal(sanitizePath(createPath({ widths: [1, NaN] })), null);
+        assert.equal(sanitizePath(createPath({ widths: '1 2' })), null);
+    });
+
+    it('rejects invalid path data', () => {
+        assert.equal(sanitizePath(createPath({}, { d: 'M 0 0 X' })), null);
+        assert.equal(sanitizePath(createPath({}, { d: 5 })), null);
+    });
+});
+
+describe('sanitizeSize', () => {
+    it('keeps a positive numeric width and height only', () => {
+        assert.deepEqual(sanitizeSize({ width: 200, height: 100, viewBox: '0 0 1 1' }), { width: 200, height: 100 });
+        assert.deepEqual(sanitizeSize({ width: '200', height: 0 }), {});
+        assert.deepEqual(sanitizeSize({ width: Infinity, height: -5 }), {});
+        assert.deepEqual(sanitizeSize(null), {});
+    });
+});
+
+describe('NoteSync.receive', () => {
+    it('adds valid paths from other editors and skips invalid ones', () => {
+        const { sync, receive, changes } = openNote();
+        receive({
+            type: 'ops',
+            ops: [
+                { type: 'add', node: createPath(), after: null },
+                { type: 'add', node: createPath({ stroke: 'url(#x)' }), after: null },
+                { type: 'add', node: createPath({}, { d: 'M 0 0 X' }), after: 5 },
+                null,
+                { type: 'unknown' }
+            ]
+        });
+
+        assert.equal(getPaths(sync).length, 1);
+        assert.deepEqual(changes, [false]);
+    });
+
+    it('only resizes to a valid size', () => {
+        const { sync, receive, changes } = openNote();
+        receive({ type: 'ops', ops: [{ type: 'attributes', values: { width: 'calc(1px)', height: -1 } }] });
+        assert.deepEqual(changes, []);
+
+        receive({ type: 'ops', ops: [{ type: 'attributes', values: { width: 300, transform: 'scale(2)' } }] });
+        assert.deepEqual(changes, [true]);
+        assert.equal(sync.document.noteSvgAttributes.width, 300);
+        assert.equal(sync.document.attributes.transform, undefined);
+    });
+
+    it('ignores messages about other notes or from this editor', () => {
+        const { sync, receive } = openNote();
+        receive({ type: 'ops', noteId: 'other note', ops: [{ type: 'add', node: createPath(), after: null }] });
+        receive({ type: 'ops', from: sync.id, ops: [{ type: 'add', node: createPath(), after: null }] });
+
+        assert.equal(getPaths(sync).length, 0);
+    });
+
+    it('merges a newcomer\'s valid paths and answers with its own', () => {
+        const { sync, receive, sent } = openNote();
+        receive({ type: 'hello', paths: [createPath(), createPath({ strokeWidth: 'wide' })], removed: [null, 5] });
+
+        assert.equal(getPaths(sync).length, 1);
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].type, 'state');
+        assert.deepEqual(sent[0].paths.map(toSvg), [toSvg(sanitizePath(createPath()))]);
+    });
+
+    it('ignores malformed merges and operations', () => {
+        const { sync, receive, changes } = openNote();
+        receive({ type: 'hello', paths: 'paths', removed: {} });
+        receive({ type: 'ops', ops: 'ops' });
+        receive({ type: 'state', paths: [null, 5, '<path/>'] });
+
+        assert.equal(getPaths(sync).length, 0);
+        assert.deepEqual(changes, []);
+    });
+});